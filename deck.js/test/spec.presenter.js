@@ -0,0 +1,52 @@
+describe('Presenter view', function() {
+  var presenter, messages;
+
+  beforeEach(function() {
+    loadFixtures('standard.html');
+    if (Modernizr.history) {
+      history.replaceState({}, "", "#")
+    }
+    else {
+      window.location.hash = '#';
+    }
+
+    messages = [];
+    presenter = {
+      closed: false,
+      focus: function() {},
+      postMessage: function(message) {
+        messages.push(message.presenter);
+      }
+    };
+    spyOn(window, 'open').andReturn(presenter);
+
+    // resources/slides.js answers this in the decks
+    $.deck('extend', 'getDemo', function() {
+      return { ready: true, step: 2, steps: 3 };
+    });
+
+    $('.slide1, .slide3').append('<iframe src="about:blank"></iframe>');
+    $.deck('.slide');
+    $.deck('openPresenter');
+    messages = [];
+  });
+
+  afterEach(function() {
+    presenter.closed = true;
+  });
+
+  it('should send the state when the demo on the current slide steps', function() {
+    $('.slide1 iframe').trigger('director.step', [{}]);
+    expect(messages.length).toEqual(1);
+    expect(messages[0].index).toEqual(0);
+    expect(messages[0].demo).toEqual({ step: 2, steps: 3 });
+
+    $('.slide1 iframe').trigger('director.ack', [{}]);
+    expect(messages.length).toEqual(2);
+  });
+
+  it('should ignore demos on other slides', function() {
+    $('.slide3 iframe').trigger('director.step', [{}]);
+    expect(messages.length).toEqual(0);
+  });
+});
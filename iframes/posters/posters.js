@@ -0,0 +1,81 @@
+// Generated by tools/render-posters.js, director steps of the demos with stills in this folder
+window.DEMO_POSTERS = {
+  "UVs": {
+    "steps": 4
+  },
+  "arm-model": {
+    "steps": 1
+  },
+  "camera": {
+    "steps": 8
+  },
+  "circle-animation": {
+    "steps": 4
+  },
+  "cube-title": {
+    "steps": 3
+  },
+  "cubemap": {
+    "steps": 4
+  },
+  "geometry": {
+    "steps": 5
+  },
+  "getting-started": {
+    "steps": 1
+  },
+  "helpers": {
+    "steps": 6
+  },
+  "hierarchy": {
+    "steps": 1
+  },
+  "interactive-cubes-gui": {
+    "steps": 1
+  },
+  "interactive-cubes-helpers": {
+    "steps": 3
+  },
+  "lights": {
+    "steps": 21
+  },
+  "lights-three-point": {
+    "steps": 3
+  },
+  "loader": {
+    "steps": 3
+  },
+  "material": {
+    "steps": 8
+  },
+  "material-options": {
+    "steps": 12
+  },
+  "misc_controls_orbit": {
+    "steps": 1
+  },
+  "sprite": {
+    "steps": 3
+  },
+  "texture-mapping": {
+    "steps": 5
+  },
+  "transforms": {
+    "steps": 5
+  },
+  "tween": {
+    "steps": 3
+  },
+  "vertices": {
+    "steps": 3
+  },
+  "webgl_interactive_cubes": {
+    "steps": 1
+  },
+  "webgl_lines_colors": {
+    "steps": 1
+  },
+  "webgl_points_random": {
+    "steps": 1
+  }
+};
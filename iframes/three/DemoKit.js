@@ -0,0 +1,183 @@
+/**
+ * Scaffolding shared by the iframe demos: the WebGL check, a perspective
+ * camera, a transparent renderer filling the page, OrbitControls, the
+ * ambient + key/fill/rim lights, resizing and the render loop.
+ *
+ * options:
+ *	container: element or id the canvas goes in, default #container or the body
+ *	camera:    { fov, near, far, position, target } or a camera of your own,
+ *	           default 60, 1, 100000 at ( 0, 75, 250 ) looking at the origin
+ *	controls:  false for no OrbitControls, or properties to set on them
+ *	lights:    false for no lights, default ambient plus key, fill and rim
+ *	           directional lights
+ *	helpers:   size of a DirectionalLightHelper for each directional light
+ *	update:    called every frame with ( delta, kit ) before rendering
+ *	render:    called every frame with ( kit ) instead of rendering the scene
+ *	resize:    called with ( kit ) after the window was resized
+ *
+ * The loop runs on DIRECTOR.loop, so rendering stops while the deck keeps the
+ * demo paused and the delta passed to update() leaves the pause out. tween.js,
+ * when loaded, is updated every frame with DIRECTOR.now(), the time tweens
+ * should be started with. Demos that don't call
+ * DIRECTOR.init() or STEPS.init() in the same script get a single director
+ * step, so the deck can still pause them. The camera is tracked for the
+ * deck's links to a view (DIRECTOR.track).
+ *
+ * Without WebGL (DIRECTOR.webgl) the error message is shown and kit.renderer
+ * is null, but the scene, camera and lights are still there for the demo to
+ * fill. The first frame is drawn once the script calling init() has built the
+ * scene, so update() can use everything the demo declares after init().
+ *
+ * Requires Director.js.
+ *
+ * Sample usage:
+ *	var kit = DEMOKIT.init( { helpers: 15 } );
+ *
+ *	var mesh = new THREE.Mesh( new THREE.SphereGeometry( 60, 24, 16 ), new THREE.MeshPhongMaterial() );
+ *	kit.scene.add( mesh );
+ *
+ *	STEPS.init( [ {}, { tween: [ [ mesh.material, 'shininess', 80 ] ] } ] );
+ */
+
+var DEMOKIT = {
+
+	init: function ( options ) {
+
+		options = options || {};
+
+		var kit = {
+			scene: new THREE.Scene(),
+			camera: this.camera( options.camera ),
+			lights: {},
+			helpers: [],
+			renderer: null,
+			controls: null,
+			container: this.container( options.container )
+		};
+
+		if ( options.lights !== false ) this.lights( kit, options.helpers );
+
+		if ( ! DIRECTOR.webgl ) {
+
+			if ( window.WEBGL ) document.body.appendChild( WEBGL.getWebGLErrorMessage() );
+
+		} else {
+
+			kit.renderer = new THREE.WebGLRenderer( { antialias: true, alpha: true } );
+			kit.renderer.setClearColor( 0x000000, 0 );
+			kit.renderer.setSize( window.innerWidth, window.innerHeight );
+			kit.container.appendChild( kit.renderer.domElement );
+
+			if ( options.controls !== false && THREE.OrbitControls ) {
+
+				kit.controls = new THREE.OrbitControls( kit.camera, kit.renderer.domElement );
+				kit.controls.enableKeys = false;
+				kit.controls.screenSpacePanning = true;
+
+				Object.assign( kit.controls, options.controls );
+
+			}
+
+			DIRECTOR.track( kit.camera, kit.controls );
+
+			window.addEventListener( 'resize', function () {
+
+				kit.camera.aspect = window.innerWidth / window.innerHeight;
+				kit.camera.updateProjectionMatrix();
+
+				kit.renderer.setSize( window.innerWidth, window.innerHeight );
+
+				if ( options.resize ) options.resize( kit );
+
+			}, false );
+
+			this.loop( kit, options );
+
+		}
+
+		// demos that declare no steps still answer pause and resume
+		setTimeout( function () {
+
+			if ( ! DIRECTOR.ready ) DIRECTOR.init();
+
+		}, 0 );
+
+		return kit;
+
+	},
+
+	container: function ( container ) {
+
+		if ( typeof container === 'string' ) container = document.getElementById( container );
+
+		return container || document.getElementById( 'container' ) || document.body;
+
+	},
+
+	camera: function ( camera ) {
+
+		if ( camera && camera.isCamera ) return camera;
+
+		camera = Object.assign( { fov: 60, near: 1, far: 100000 }, camera );
+
+		var result = new THREE.PerspectiveCamera( camera.fov, window.innerWidth / window.innerHeight, camera.near, camera.far );
+		result.position.copy( camera.position || new THREE.Vector3( 0, 75, 250 ) );
+		result.lookAt( camera.target || new THREE.Vector3() );
+
+		return result;
+
+	},
+
+	// Ambient plus the key, fill and rim lights of lights-three-point.html
+
+	lights: function ( kit, helpers ) {
+
+		var lights = kit.lights;
+
+		lights.ambient = new THREE.AmbientLight( 0x444444 );
+
+		lights.key = new THREE.DirectionalLight( 0xdddddd, 0.7 );
+		lights.key.position.set( - 80, 60, 80 );
+
+		lights.fill = new THREE.DirectionalLight( 0xdddddd, 0.3 );
+		lights.fill.position.set( 80, 40, 40 );
+
+		lights.rim = new THREE.DirectionalLight( 0xdddddd, 0.6 );
+		lights.rim.position.set( - 20, 80, - 80 );
+
+		Object.keys( lights ).forEach( function ( name ) {
+
+			kit.scene.add( lights[ name ] );
+
+			if ( helpers && lights[ name ].isDirectionalLight ) {
+
+				var helper = new THREE.DirectionalLightHelper( lights[ name ], helpers );
+				kit.helpers.push( helper );
+				kit.scene.add( helper );
+
+			}
+
+		} );
+
+	},
+
+	loop: function ( kit, options ) {
+
+		var last = DIRECTOR.now();
+
+		DIRECTOR.loop( function ( now ) {
+
+			var delta = ( now - last ) / 1000;
+			last = now;
+
+			if ( window.TWEEN ) TWEEN.update( now );
+			if ( options.update ) options.update( delta, kit );
+
+			if ( options.render ) options.render( kit );
+			else kit.renderer.render( kit.scene, kit.camera );
+
+		} );
+
+	}
+
+};
@@ -0,0 +1,417 @@
+/**
+ * Director protocol between the deck (resources/slides.js) and an iframe demo.
+ *
+ * The deck drives the demo with
+ *
+ *	{ director: { method: 'go', args: [ step ] } }
+ *
+ * ('go' is assumed when no method is given). Steps start at 1, negative steps
+ * count back from the last one, so -1 is the final step of the demo.
+ *
+ * The demo answers the deck with
+ *
+ *	{ director: { type: 'ready',  step: 1, steps: 5 } }
+ *	{ director: { type: 'ack',    step: 3, steps: 5 } }
+ *	{ director: { type: 'reject', step: 9, steps: 5, reason: 'out of range' } }
+ *	{ director: { type: 'step',   step: 4, steps: 5 } }
+ *
+ * where 'step' reports a change made from inside the demo, e.g. by the
+ * stand-alone keyboard controls.
+ *
+ * The deck keeps the demos preloaded on neighbouring slides idle with
+ *
+ *	{ director: { method: 'pause' } }
+ *	{ director: { method: 'resume' } }
+ *
+ * The demo's clock, DIRECTOR.now(), leaves out the time spent paused, and
+ * DIRECTOR.loop( callback ) skips the animation frames that come while
+ * paused, so animations and tweens started with DIRECTOR.now() carry on from
+ * where they stopped.
+ *
+ * Demos that call DIRECTOR.track( camera, controls ) report where the user
+ * orbited to, and can be put back there, for links to an exact view:
+ *
+ *	{ director: { method: 'view', args: [ [ x, y, z, targetX, targetY, targetZ ] ] } }
+ *	{ director: { type: 'view', step: 3, steps: 5, view: [ x, y, z, targetX, targetY, targetZ ] } }
+ *
+ * Answers to the deck's own 'view' calls are marked requested: true.
+ *
+ * A demo opened where WebGL isn't available says so as soon as Director.js
+ * loads, before the demo itself fails, and the deck shows its posters instead:
+ *
+ *	{ director: { type: 'nowebgl', step: 1, steps: 1 } }
+ *
+ * The deck export (resources/export.js) loads demos with ?export, which keeps
+ * the drawing buffer of every WebGLRenderer so that
+ *
+ *	{ director: { method: 'snapshot' } }
+ *
+ * can answer with the rendered frame as a PNG data URL:
+ *
+ *	{ director: { type: 'snapshot', step: 3, steps: 5, image: 'data:image/png;...' } }
+ *
+ * Sample usage:
+ *	DIRECTOR.init( { steps: 5, go: applyStep } );
+ */
+
+var DIRECTOR = {
+
+	step: 1,
+	steps: 1,
+
+	ready: false,
+
+	paused: false,
+	pausedAt: 0,
+	pausedFor: 0,
+
+	exporting: /[?&]export\b/.test( location.search ),
+
+	webgl: ( function () {
+
+		try {
+
+			var canvas = document.createElement( 'canvas' );
+			var gl = window.WebGLRenderingContext && ( canvas.getContext( 'webgl' ) || canvas.getContext( 'experimental-webgl' ) );
+			var lose = gl && gl.getExtension( 'WEBGL_lose_context' );
+
+			// only checking, give the context back
+			if ( lose ) lose.loseContext();
+
+			return !! gl;
+
+		} catch ( e ) {
+
+			return false;
+
+		}
+
+	} )(),
+
+	methods: {},
+
+	init: function ( options ) {
+
+		var scope = this;
+
+		options = options || {};
+
+		this.steps = options.steps || 1;
+		this.onGo = options.go || function () {};
+
+		this.methods.go = function ( step ) {
+
+			return scope.go( step );
+
+		};
+
+		this.methods.snapshot = function () {
+
+			scope.snapshot();
+
+		};
+
+		this.methods.pause = function () {
+
+			scope.pause();
+
+		};
+
+		this.methods.resume = function () {
+
+			scope.resume();
+
+		};
+
+		window.addEventListener( 'message', function ( event ) {
+
+			var data = event.data && event.data.director;
+			if ( ! data ) return;
+
+			var method = data.method || 'go';
+			var args = data.args || [];
+
+			if ( scope.methods[ method ] === undefined ) {
+
+				scope.send( { type: 'reject', method: method, reason: 'unknown method' } );
+				return;
+
+			}
+
+			scope.methods[ method ].apply( scope, args );
+
+		}, false );
+
+		if ( options.keys !== false ) {
+
+			// Controls for stand-alone
+			window.addEventListener( 'keydown', function ( event ) {
+
+				if ( event.keyCode == 38 || event.keyCode == 37 ) scope.back();
+				if ( event.keyCode == 40 || event.keyCode == 39 ) scope.forward();
+
+			}, false );
+
+		}
+
+		this.ready = true;
+		this.send( { type: 'ready' } );
+
+	},
+
+	// Register an extra message the deck may call, e.g. DIRECTOR.on( 'pause', fn )
+
+	on: function ( method, callback ) {
+
+		this.methods[ method ] = callback;
+
+	},
+
+	resolve: function ( step ) {
+
+		step = parseInt( step, 10 );
+
+		if ( step < 0 ) step = this.steps + 1 + step;
+
+		return step;
+
+	},
+
+	go: function ( requested ) {
+
+		var step = this.resolve( requested );
+
+		if ( isNaN( step ) || step < 1 || step > this.steps ) {
+
+			this.send( { type: 'reject', step: requested, reason: 'out of range' } );
+			return false;
+
+		}
+
+		try {
+
+			this.onGo( step );
+
+		} catch ( e ) {
+
+			this.send( { type: 'reject', step: step, reason: e.message } );
+			return false;
+
+		}
+
+		this.step = step;
+		this.send( { type: 'ack' } );
+
+		return true;
+
+	},
+
+	forward: function () {
+
+		if ( this.step < this.steps ) this.move( this.step + 1 );
+
+	},
+
+	back: function () {
+
+		if ( this.step > 1 ) this.move( this.step - 1 );
+
+	},
+
+	// A step taken from inside the demo, reported to the deck as 'step'
+
+	move: function ( step ) {
+
+		var previous = this.step;
+
+		this.step = step;
+
+		try {
+
+			this.onGo( step );
+
+		} catch ( e ) {
+
+			this.step = previous;
+			this.send( { type: 'reject', step: step, reason: e.message } );
+			return false;
+
+		}
+
+		this.send( { type: 'step' } );
+
+		return true;
+
+	},
+
+	pause: function () {
+
+		if ( this.paused ) return;
+
+		this.paused = true;
+		this.pausedAt = performance.now();
+
+	},
+
+	resume: function () {
+
+		if ( ! this.paused ) return;
+
+		this.paused = false;
+		this.pausedFor += performance.now() - this.pausedAt;
+
+	},
+
+	// Milliseconds like performance.now(), standing still while paused
+
+	now: function () {
+
+		var now = performance.now();
+
+		return now - this.pausedFor - ( this.paused ? now - this.pausedAt : 0 );
+
+	},
+
+	// Call back with DIRECTOR.now() every animation frame the demo isn't paused
+
+	loop: function ( callback ) {
+
+		var scope = this;
+
+		function tick() {
+
+			requestAnimationFrame( tick );
+
+			if ( ! scope.paused ) callback( scope.now() );
+
+		}
+
+		requestAnimationFrame( tick );
+
+	},
+
+	// Report the camera position and OrbitControls target whenever the user
+	// is done orbiting, and while orbiting at most every 100 ms for windows
+	// mirroring the deck (resources/sync.js), and let the deck restore them
+
+	track: function ( camera, controls ) {
+
+		var scope = this;
+
+		function view() {
+
+			var target = controls ? controls.target : new THREE.Vector3();
+
+			return camera.position.toArray().concat( target.toArray() ).map( function ( value ) {
+
+				return Math.round( value * 10 ) / 10;
+
+			} );
+
+		}
+
+		this.on( 'view', function ( values ) {
+
+			if ( values && values.length === 6 ) {
+
+				camera.position.fromArray( values );
+
+				if ( controls ) {
+
+					controls.target.fromArray( values, 3 );
+					controls.update();
+
+				} else {
+
+					camera.lookAt( new THREE.Vector3().fromArray( values, 3 ) );
+
+				}
+
+			}
+
+			scope.send( { type: 'view', view: view(), requested: true } );
+
+		} );
+
+		if ( controls ) {
+
+			var sent = 0;
+			var orbiting = false;
+
+			controls.addEventListener( 'start', function () {
+
+				orbiting = true;
+
+			} );
+
+			// changes made by autoRotate or the deck aren't the user's
+			controls.addEventListener( 'change', function () {
+
+				var now = Date.now();
+				if ( ! orbiting || now - sent < 100 ) return;
+
+				sent = now;
+				scope.send( { type: 'view', view: view() } );
+
+			} );
+
+			controls.addEventListener( 'end', function () {
+
+				orbiting = false;
+				sent = Date.now();
+				scope.send( { type: 'view', view: view() } );
+
+			} );
+
+		}
+
+	},
+
+	// Send the largest canvas on the page, normally the renderer's
+
+	snapshot: function () {
+
+		var canvas = null;
+
+		Array.prototype.forEach.call( document.querySelectorAll( 'canvas' ), function ( c ) {
+
+			if ( ! canvas || c.width * c.height > canvas.width * canvas.height ) canvas = c;
+
+		} );
+
+		this.send( { type: 'snapshot', image: canvas ? canvas.toDataURL( 'image/png' ) : null } );
+
+	},
+
+	send: function ( message ) {
+
+		if ( window.parent === window ) return;
+
+		if ( message.step === undefined ) message.step = this.step;
+		message.steps = this.steps;
+
+		window.parent.postMessage( { director: message }, '*' );
+
+	}
+
+};
+
+// Exported demos are read back after rendering, which needs the drawing buffer
+
+if ( DIRECTOR.exporting && window.THREE ) {
+
+	( function ( WebGLRenderer ) {
+
+		THREE.WebGLRenderer = function ( parameters ) {
+
+			WebGLRenderer.call( this, Object.assign( { preserveDrawingBuffer: true }, parameters ) );
+
+		};
+
+		THREE.WebGLRenderer.prototype = WebGLRenderer.prototype;
+
+	} )( THREE.WebGLRenderer );
+
+}
+
+if ( ! DIRECTOR.webgl ) DIRECTOR.send( { type: 'nowebgl' } );
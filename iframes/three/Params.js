@@ -0,0 +1,243 @@
+/**
+ * Tweakable demo parameters, declared once and shared by a dat.GUI panel and
+ * the deck.
+ *
+ * Every entry of the schema names one property of one object:
+ *
+ *	object:   the object holding the value, e.g. a light or a material
+ *	property: the property, e.g. 'intensity'
+ *	min, max, step: slider range for numbers
+ *	options:  array or { label: value } of choices, shown as a dropdown
+ *	folder:   name of the GUI folder the parameter goes in
+ *	onChange: called with the new value after it was set
+ *
+ * THREE.Color values get a color picker and are read and written as '#rrggbb'.
+ * Materials are flagged with needsUpdate whenever one of their values is set.
+ *
+ * Pressing G in the demo shows and hides the panel (dat.gui.min.js must be
+ * loaded for that). The deck sets values through the director protocol
+ * (Director.js):
+ *
+ *	{ director: { method: 'set',    args: [ 'fov', 30 ] } }
+ *	{ director: { method: 'set',    args: [ { fov: 30, near: 100 } ] } }
+ *	{ director: { method: 'params' } }
+ *	{ director: { method: 'gui',    args: [ true ] } }
+ *
+ * and every one of them is answered with the current values:
+ *
+ *	{ director: { type: 'params', step: 3, steps: 5, params: { fov: 30, near: 100 } } }
+ *
+ * Sample usage:
+ *	PARAMS.init( {
+ *		intensity: { object: light, property: 'intensity', min: 0, max: 2, folder: 'light' },
+ *		color: { object: light, property: 'color', folder: 'light' },
+ *		wireframe: { object: material, property: 'wireframe' }
+ *	}, { update: function () { helper.update(); } } );
+ */
+
+var PARAMS = {
+
+	schema: {},
+
+	gui: null,
+
+	key: 71, // g
+
+	init: function ( schema, options ) {
+
+		var scope = this;
+
+		options = options || {};
+
+		this.schema = schema;
+		this.update = options.update || function () {};
+
+		if ( options.key !== undefined ) this.key = options.key;
+
+		if ( window.DIRECTOR ) {
+
+			DIRECTOR.on( 'set', function ( name, value ) {
+
+				var values = {};
+
+				if ( typeof name === 'object' ) values = name;
+				else values[ name ] = value;
+
+				Object.keys( values ).forEach( function ( key ) {
+
+					scope.set( key, values[ key ] );
+
+				} );
+
+				scope.send();
+
+			} );
+
+			DIRECTOR.on( 'params', function () {
+
+				scope.send();
+
+			} );
+
+			DIRECTOR.on( 'gui', function ( visible ) {
+
+				scope.toggle( visible );
+				scope.send();
+
+			} );
+
+		}
+
+		if ( this.key !== false ) {
+
+			window.addEventListener( 'keydown', function ( event ) {
+
+				if ( /^(input|select|textarea)$/i.test( event.target.nodeName ) ) return;
+				if ( event.keyCode == scope.key ) scope.toggle();
+
+			}, false );
+
+		}
+
+	},
+
+	get: function ( name ) {
+
+		var param = this.schema[ name ];
+		if ( param === undefined ) return undefined;
+
+		var value = param.object[ param.property ];
+
+		return value && value.isColor ? '#' + value.getHexString() : value;
+
+	},
+
+	set: function ( name, value ) {
+
+		var param = this.schema[ name ];
+		if ( param === undefined ) return false;
+
+		var object = param.object;
+		var current = object[ param.property ];
+
+		if ( current && current.isColor ) {
+
+			current.set( value );
+
+		} else {
+
+			// values from the deck or a text field keep the type of the property
+			if ( typeof current === 'number' ) value = parseFloat( value );
+			if ( typeof current === 'boolean' ) value = value === true || value === 'true';
+			if ( typeof current === 'number' && isNaN( value ) ) return false;
+
+			object[ param.property ] = value;
+
+		}
+
+		if ( object.isMaterial ) object.needsUpdate = true;
+
+		if ( param.onChange ) param.onChange( object[ param.property ] );
+		this.update();
+
+		return true;
+
+	},
+
+	values: function () {
+
+		var scope = this;
+		var values = {};
+
+		Object.keys( this.schema ).forEach( function ( name ) {
+
+			values[ name ] = scope.get( name );
+
+		} );
+
+		return values;
+
+	},
+
+	// Show or hide the dat.GUI panel, built the first time it's shown
+
+	toggle: function ( visible ) {
+
+		if ( visible === undefined ) visible = ! ( this.gui && this.gui.domElement.style.display !== 'none' );
+
+		if ( ! this.gui ) {
+
+			if ( ! visible || ! window.dat ) return;
+			this.gui = this.panel();
+
+		}
+
+		this.gui.domElement.style.display = visible ? '' : 'none';
+
+	},
+
+	panel: function () {
+
+		var scope = this;
+		var gui = new dat.GUI();
+		var folders = {};
+
+		// the panel edits a proxy, so colors and type coercion go through set()
+		var proxy = {};
+
+		Object.keys( this.schema ).forEach( function ( name ) {
+
+			var param = scope.schema[ name ];
+			var parent = gui;
+
+			Object.defineProperty( proxy, name, {
+				get: function () { return scope.get( name ); },
+				set: function ( value ) { scope.set( name, value ); }
+			} );
+
+			if ( param.folder ) {
+
+				if ( ! folders[ param.folder ] ) {
+
+					folders[ param.folder ] = gui.addFolder( param.folder );
+					folders[ param.folder ].open();
+
+				}
+
+				parent = folders[ param.folder ];
+
+			}
+
+			var controller;
+			var current = param.object[ param.property ];
+
+			if ( current && current.isColor ) {
+
+				controller = parent.addColor( proxy, name );
+
+			} else if ( param.options ) {
+
+				controller = parent.add( proxy, name, param.options );
+
+			} else {
+
+				controller = parent.add( proxy, name, param.min, param.max, param.step );
+
+			}
+
+			// steps and the deck change values too
+			controller.listen();
+
+		} );
+
+		return gui;
+
+	},
+
+	send: function () {
+
+		if ( window.DIRECTOR ) DIRECTOR.send( { type: 'params', params: this.values() } );
+
+	}
+
+};
@@ -0,0 +1,352 @@
+/**
+ * Picking with THREE.Raycaster: hover, click to select, shift or ctrl click
+ * to select several, and drag to move objects on a plane.
+ *
+ * THREE.PickControls = function ( objects, camera, domElement )
+ *
+ * The hover ray follows the pointer, or the -z axis of source when it is set,
+ * e.g. a cursor object moved by a tween. Call update() every frame, so
+ * objects moving under a still pointer are picked up too.
+ *
+ * Events, each with the object:
+ *	hoveron, hoveroff, select, deselect, dragstart, drag, dragend
+ *
+ * Hovered and selected objects are colored with colors.hover and
+ * colors.select (set colors to null to color them yourself), which needs a
+ * material of their own. intersections holds every hit of the last hover ray.
+ *
+ * helper is a group with an arrow along the hover ray and a ring where it
+ * hits, add it to the scene to show them.
+ *
+ * Sample usage:
+ *	var picker = new THREE.PickControls( group.children, camera, renderer.domElement );
+ *	picker.addEventListener( 'dragstart', function () { orbit.enabled = false; } );
+ *	picker.addEventListener( 'dragend', function () { orbit.enabled = true; } );
+ *	scene.add( picker.helper );
+ *
+ *	function render() {
+ *		picker.update();
+ *		renderer.render( scene, camera );
+ *	}
+ */
+
+THREE.PickControls = function ( objects, camera, domElement ) {
+
+	var scope = this;
+
+	this.objects = objects;
+	this.camera = camera;
+	this.domElement = ( domElement !== undefined ) ? domElement : document;
+
+	this.enabled = true;
+	this.recursive = false;
+	this.multiSelect = true;
+	this.draggable = true;
+
+	// plane to drag on, by default one through the object facing the camera
+	this.dragPlane = null;
+
+	// object whose -z axis casts the hover ray instead of the pointer
+	this.source = null;
+
+	this.colors = { hover: 0xff0000, select: 0x3794cf };
+
+	// length of the arrow in helper
+	this.rayLength = 1100;
+
+	this.raycaster = new THREE.Raycaster();
+	this.intersections = [];
+	this.hovered = null;
+	this.selected = [];
+
+	this.helper = new THREE.Group();
+	this.helper.add( new THREE.ArrowHelper( new THREE.Vector3( 0, 0, - 1 ), new THREE.Vector3(), 1100, 0xff0000, 70 ) );
+	this.helper.add( new THREE.Mesh(
+		new THREE.RingBufferGeometry( 8, 12, 32 ),
+		new THREE.MeshBasicMaterial( { color: 0xff0000, side: THREE.DoubleSide, depthTest: false, transparent: true } )
+	) );
+
+	var arrow = this.helper.children[ 0 ];
+	var ring = this.helper.children[ 1 ];
+
+	var pointer = new THREE.Vector2();
+	var pointerOver = false;
+
+	var down = new THREE.Vector2();
+	var downObject = null;
+	var moved = false;
+
+	var dragging = null;
+	var plane = new THREE.Plane();
+	var offset = new THREE.Vector3();
+	var point = new THREE.Vector3();
+	var normal = new THREE.Vector3();
+
+	// internals
+
+	function owner( object ) {
+
+		while ( object && scope.objects.indexOf( object ) === - 1 ) object = object.parent;
+
+		return object;
+
+	}
+
+	function paint( object ) {
+
+		if ( ! scope.colors || ! object.material || ! object.material.color ) return;
+
+		if ( object.userData.pickColor === undefined ) object.userData.pickColor = object.material.color.getHex();
+
+		if ( object === scope.hovered ) object.material.color.setHex( scope.colors.hover );
+		else if ( scope.selected.indexOf( object ) > - 1 ) object.material.color.setHex( scope.colors.select );
+		else object.material.color.setHex( object.userData.pickColor );
+
+	}
+
+	function setPointer( event ) {
+
+		var rect = scope.domElement === document ? document.body.getBoundingClientRect() : scope.domElement.getBoundingClientRect();
+
+		pointer.x = ( event.clientX - rect.left ) / rect.width * 2 - 1;
+		pointer.y = - ( event.clientY - rect.top ) / rect.height * 2 + 1;
+
+	}
+
+	function pointerHits() {
+
+		scope.raycaster.setFromCamera( pointer, scope.camera );
+		return scope.raycaster.intersectObjects( scope.objects, scope.recursive );
+
+	}
+
+	function onMouseMove( event ) {
+
+		if ( scope.enabled === false ) return;
+
+		setPointer( event );
+		pointerOver = true;
+
+		if ( Math.abs( event.clientX - down.x ) + Math.abs( event.clientY - down.y ) > 3 ) moved = true;
+
+		if ( dragging && moved ) {
+
+			scope.raycaster.setFromCamera( pointer, scope.camera );
+
+			if ( scope.raycaster.ray.intersectPlane( plane, point ) ) {
+
+				point.add( offset );
+				if ( dragging.parent ) dragging.parent.worldToLocal( point );
+				dragging.position.copy( point );
+
+				scope.dispatchEvent( { type: 'drag', object: dragging } );
+
+			}
+
+		}
+
+	}
+
+	function onMouseDown( event ) {
+
+		if ( scope.enabled === false || event.button !== 0 ) return;
+
+		setPointer( event );
+		down.set( event.clientX, event.clientY );
+		moved = false;
+
+		var hits = pointerHits();
+		downObject = hits.length ? owner( hits[ 0 ].object ) : null;
+
+		if ( downObject && scope.draggable ) {
+
+			dragging = downObject;
+
+			if ( scope.dragPlane ) plane.copy( scope.dragPlane );
+			else plane.setFromNormalAndCoplanarPoint( scope.camera.getWorldDirection( normal ), hits[ 0 ].point );
+
+			dragging.getWorldPosition( offset );
+			scope.raycaster.ray.intersectPlane( plane, point );
+			offset.sub( point );
+
+			scope.dispatchEvent( { type: 'dragstart', object: dragging } );
+
+		}
+
+	}
+
+	function onMouseUp( event ) {
+
+		if ( scope.enabled === false ) return;
+
+		if ( dragging ) {
+
+			var object = dragging;
+			dragging = null;
+
+			scope.dispatchEvent( { type: 'dragend', object: object } );
+
+		}
+
+		if ( moved ) return;
+
+		var add = scope.multiSelect && ( event.shiftKey || event.ctrlKey || event.metaKey );
+
+		if ( downObject ) {
+
+			if ( add && scope.selected.indexOf( downObject ) > - 1 ) scope.deselect( downObject );
+			else scope.select( downObject, add );
+
+		} else if ( ! add ) {
+
+			scope.clear();
+
+		}
+
+	}
+
+	function onMouseLeave() {
+
+		pointerOver = false;
+
+	}
+
+	// API
+
+	this.update = function () {
+
+		if ( scope.source ) {
+
+			var source = scope.source;
+			source.updateMatrixWorld();
+
+			point.setFromMatrixPosition( source.matrixWorld );
+			normal.set( 0, 0, - 1 ).transformDirection( source.matrixWorld );
+
+			scope.raycaster.set( point, normal );
+
+		} else if ( pointerOver && scope.enabled ) {
+
+			scope.raycaster.setFromCamera( pointer, scope.camera );
+
+		} else {
+
+			scope.intersections = [];
+			scope.hover( null );
+			scope.helper.visible = false;
+			return;
+
+		}
+
+		var ray = scope.raycaster.ray;
+
+		scope.intersections = scope.raycaster.intersectObjects( scope.objects, scope.recursive );
+
+		// the object being dragged stays hovered
+		if ( ! dragging ) scope.hover( scope.intersections.length ? owner( scope.intersections[ 0 ].object ) : null );
+
+		var hit = scope.intersections[ 0 ];
+
+		scope.helper.visible = true;
+
+		arrow.position.copy( ray.origin );
+		arrow.setDirection( ray.direction );
+		arrow.setLength( scope.rayLength, Math.min( 70, scope.rayLength / 4 ) );
+
+		ring.visible = !! hit;
+
+		if ( hit ) {
+
+			ring.position.copy( hit.point );
+
+			if ( hit.face ) {
+
+				normal.copy( hit.face.normal ).transformDirection( hit.object.matrixWorld );
+				ring.lookAt( point.copy( hit.point ).add( normal ) );
+
+			}
+
+		}
+
+	};
+
+	this.hover = function ( object ) {
+
+		var previous = scope.hovered;
+		if ( object === previous ) return;
+
+		scope.hovered = object;
+
+		if ( previous ) {
+
+			paint( previous );
+			scope.dispatchEvent( { type: 'hoveroff', object: previous } );
+
+		}
+
+		if ( object ) {
+
+			paint( object );
+			scope.dispatchEvent( { type: 'hoveron', object: object } );
+
+		}
+
+	};
+
+	this.select = function ( object, add ) {
+
+		if ( ! add ) {
+
+			scope.selected.slice().forEach( function ( selected ) {
+
+				if ( selected !== object ) scope.deselect( selected );
+
+			} );
+
+		}
+
+		if ( scope.selected.indexOf( object ) > - 1 ) return;
+
+		scope.selected.push( object );
+		paint( object );
+
+		scope.dispatchEvent( { type: 'select', object: object } );
+
+	};
+
+	this.deselect = function ( object ) {
+
+		var index = scope.selected.indexOf( object );
+		if ( index === - 1 ) return;
+
+		scope.selected.splice( index, 1 );
+		paint( object );
+
+		scope.dispatchEvent( { type: 'deselect', object: object } );
+
+	};
+
+	this.clear = function () {
+
+		scope.selected.slice().forEach( scope.deselect );
+
+	};
+
+	this.dispose = function () {
+
+		scope.domElement.removeEventListener( 'mousemove', onMouseMove, false );
+		scope.domElement.removeEventListener( 'mousedown', onMouseDown, false );
+		scope.domElement.removeEventListener( 'mouseleave', onMouseLeave, false );
+		document.removeEventListener( 'mouseup', onMouseUp, false );
+
+	};
+
+	this.domElement.addEventListener( 'mousemove', onMouseMove, false );
+	this.domElement.addEventListener( 'mousedown', onMouseDown, false );
+	this.domElement.addEventListener( 'mouseleave', onMouseLeave, false );
+	document.addEventListener( 'mouseup', onMouseUp, false );
+
+};
+
+THREE.PickControls.prototype = Object.create( THREE.EventDispatcher.prototype );
+THREE.PickControls.prototype.constructor = THREE.PickControls;
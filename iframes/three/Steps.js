@@ -0,0 +1,277 @@
+/**
+ * Declarative step engine for iframe demos.
+ *
+ * Instead of an applyStep() if/else ladder a demo declares one state per
+ * director step, listing only what changes on that step. Entering a step
+ * replays every state up to it, so jumping from step 1 to step 9 with
+ * deck.goto ends in the same scene as stepping through one at a time.
+ *
+ *	set:      [ [ object, property, value ], ... ]  assigned immediately
+ *	tween:    [ [ object, property, value ], ... ]  animated to value
+ *	show:     [ object, ... ]                        object.visible = true
+ *	hide:     [ object, ... ]                        object.visible = false
+ *	duration: tween duration for this step in milliseconds
+ *
+ * Tweens run through TWEENS (Tweens.js), so any value it can animate can be
+ * tweened. Object values are copied in place, and materials are flagged with
+ * needsUpdate when a value is set.
+ *
+ * Sample usage:
+ *	STEPS.init( [
+ *		{ tween: [ [ mesh, 'position', new THREE.Vector3( 0, 0, 0 ) ] ] },
+ *		{ tween: [ [ mesh.material, 'opacity', 0.5 ] ], show: [ helper ] },
+ *		{ set: [ [ mesh.material, 'wireframe', true ] ] }
+ *	], { duration: 800, update: function () { helper.update(); } } );
+ *
+ * STEPS.init() hands the step count and STEPS.go() to DIRECTOR.init(), which
+ * takes care of deck messages, clamping and the stand-alone keyboard controls.
+ */
+
+var STEPS = {
+
+	step: 0,
+
+	states: [],
+	keys: [],
+	tweens: [],
+
+	duration: 800,
+
+	init: function ( states, options ) {
+
+		var scope = this;
+
+		options = options || {};
+
+		this.states = states;
+		this.keys = [];
+
+		if ( options.duration !== undefined ) this.duration = options.duration;
+		this.update = options.update || function () {};
+
+		// every property any step touches, with its value before step 1
+
+		states.forEach( function ( state ) {
+
+			scope.entries( state ).forEach( function ( entry ) {
+
+				scope.key( entry.object, entry.property, entry.tween );
+
+			} );
+
+		} );
+
+		DIRECTOR.init( {
+
+			steps: states.length,
+			keys: options.keys,
+			go: function ( step ) {
+
+				scope.go( step );
+
+			}
+
+		} );
+
+	},
+
+	entries: function ( state ) {
+
+		var entries = [];
+
+		( state.set || [] ).forEach( function ( e ) {
+
+			entries.push( { object: e[ 0 ], property: e[ 1 ], value: e[ 2 ], tween: false } );
+
+		} );
+
+		( state.tween || [] ).forEach( function ( e ) {
+
+			entries.push( { object: e[ 0 ], property: e[ 1 ], value: e[ 2 ], tween: true } );
+
+		} );
+
+		( state.show || [] ).forEach( function ( object ) {
+
+			entries.push( { object: object, property: 'visible', value: true, tween: false } );
+
+		} );
+
+		( state.hide || [] ).forEach( function ( object ) {
+
+			entries.push( { object: object, property: 'visible', value: false, tween: false } );
+
+		} );
+
+		return entries;
+
+	},
+
+	key: function ( object, property, tween ) {
+
+		for ( var i = 0; i < this.keys.length; i ++ ) {
+
+			var key = this.keys[ i ];
+
+			if ( key.object === object && key.property === property ) {
+
+				key.tween = key.tween || tween;
+				return key;
+
+			}
+
+		}
+
+		key = {
+			object: object,
+			property: property,
+			tween: tween,
+			initial: this.clone( object[ property ] )
+		};
+
+		this.keys.push( key );
+
+		return key;
+
+	},
+
+	// Target value of every key once the states up to step have been applied
+
+	resolve: function ( step ) {
+
+		var scope = this;
+
+		var targets = this.keys.map( function ( key ) {
+
+			return key.initial;
+
+		} );
+
+		for ( var i = 0; i < step; i ++ ) {
+
+			this.entries( this.states[ i ] ).forEach( function ( entry ) {
+
+				targets[ scope.keys.indexOf( scope.key( entry.object, entry.property ) ) ] = entry.value;
+
+			} );
+
+		}
+
+		return targets;
+
+	},
+
+	go: function ( step ) {
+
+		step = Math.max( 1, Math.min( this.states.length, step ) );
+
+		var state = this.states[ step - 1 ];
+		var duration = state.duration !== undefined ? state.duration : this.duration;
+		var targets = this.resolve( step );
+
+		this.stop();
+
+		for ( var i = 0; i < this.keys.length; i ++ ) {
+
+			var key = this.keys[ i ];
+			var target = targets[ i ];
+
+			if ( this.equals( key.object[ key.property ], target ) ) continue;
+
+			if ( key.tween && duration > 0 && TWEENS.tweenable( target ) ) {
+
+				this.tween( key, target, duration );
+
+			} else {
+
+				this.assign( key, target );
+
+			}
+
+		}
+
+		this.step = step;
+		this.update();
+
+	},
+
+	stop: function () {
+
+		this.tweens.forEach( function ( handle ) {
+
+			handle.stop();
+
+		} );
+
+		this.tweens = [];
+
+	},
+
+	tween: function ( key, target, duration ) {
+
+		var scope = this;
+
+		var handle = TWEENS.to( key.object, key.property, target, {
+			duration: duration,
+			onUpdate: function () {
+
+				scope.update();
+
+			}
+		} );
+
+		this.tweens.push( handle );
+
+		handle.promise.then( function () {
+
+			var index = scope.tweens.indexOf( handle );
+			if ( index !== - 1 ) scope.tweens.splice( index, 1 );
+
+		} );
+
+	},
+
+	assign: function ( key, value ) {
+
+		var current = key.object[ key.property ];
+
+		if ( this.isMath( current ) && this.isMath( value ) ) {
+
+			current.copy( value );
+
+		} else {
+
+			key.object[ key.property ] = value;
+
+		}
+
+		if ( key.object.isMaterial ) key.object.needsUpdate = true;
+
+		this.update();
+
+	},
+
+	// Vectors, colors, eulers and quaternions are compared and copied by value,
+	// anything else (textures, cameras, strings) by reference
+
+	isMath: function ( value ) {
+
+		return !! ( value && value.copy && value.clone && value.equals );
+
+	},
+
+	clone: function ( value ) {
+
+		return this.isMath( value ) ? value.clone() : value;
+
+	},
+
+	equals: function ( a, b ) {
+
+		if ( this.isMath( a ) && this.isMath( b ) ) return a.equals( b );
+
+		return a === b;
+
+	}
+
+};
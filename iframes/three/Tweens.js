@@ -0,0 +1,204 @@
+/**
+ * Tween helper shared by the iframe demos, built on tween.js.
+ *
+ * Tweens object[ property ] to value as a unit: numbers, THREE.Vector2/3/4,
+ * THREE.Color, THREE.Euler, and THREE.Quaternion (slerp). Starting a tween
+ * on a property that is already tweening stops the running one first.
+ *
+ * options:
+ *	duration:   milliseconds, default 800
+ *	easing:     tween.js easing function, default TWEEN.Easing.Cubic.Out
+ *	delay:      milliseconds, default 0
+ *	onUpdate:   called every frame with the current value
+ *	onComplete: called once the value is reached
+ *
+ * Returns a handle whose promise resolves with true when the tween completes,
+ * or false when it is stopped or replaced before then. Tweens run on
+ * DIRECTOR.now(), so they stand still while the deck keeps the demo paused.
+ *
+ * Sample usage:
+ *	TWEENS.to( mesh.position, 'x', -100 );
+ *	TWEENS.to( mesh, 'scale', new THREE.Vector3( 2, 2, 2 ), { duration: 400 } );
+ *	TWEENS.to( light, 'color', new THREE.Color( 0xb4e7f2 ) ).promise.then( next );
+ */
+
+var TWEENS = {
+
+	duration: 800,
+
+	active: [],
+
+	to: function ( object, property, value, options ) {
+
+		var scope = this;
+
+		options = options || {};
+
+		this.stop( object, property );
+
+		var current = object[ property ];
+		var start = this.clone( current );
+		var lerp = this.lerp( current );
+
+		var handle = {
+			object: object,
+			property: property,
+			stop: function () {
+
+				handle.tween.stop();
+
+			}
+		};
+
+		handle.promise = new Promise( function ( resolve ) {
+
+			var progress = { t: 0 };
+
+			handle.tween = new TWEEN.Tween( progress )
+				.to( { t: 1 }, options.duration !== undefined ? options.duration : scope.duration )
+				.easing( options.easing || TWEEN.Easing.Cubic.Out )
+				.delay( options.delay || 0 )
+				.onUpdate( function () {
+
+					if ( typeof current === 'number' ) {
+
+						object[ property ] = start + ( value - start ) * progress.t;
+
+					} else {
+
+						lerp( current, start, value, progress.t );
+
+					}
+
+					if ( options.onUpdate ) options.onUpdate( object[ property ] );
+
+				} )
+				.onComplete( function () {
+
+					scope.remove( handle );
+					if ( options.onComplete ) options.onComplete( object[ property ] );
+					resolve( true );
+
+				} )
+				.onStop( function () {
+
+					scope.remove( handle );
+					resolve( false );
+
+				} );
+
+		} );
+
+		this.active.push( handle );
+
+		handle.tween.start( DIRECTOR.now() );
+
+		return handle;
+
+	},
+
+	// Stop tweens on object[ property ], on any part of it, or on the value it
+	// is part of: ( mesh, 'position' ) and ( mesh.position, 'x' ) conflict
+
+	stop: function ( object, property ) {
+
+		var value = object[ property ];
+
+		this.active.slice().forEach( function ( handle ) {
+
+			var same = handle.object === object && handle.property === property;
+			var part = value !== null && typeof value === 'object' && handle.object === value;
+			var whole = handle.object[ handle.property ] === object;
+
+			if ( same || part || whole ) handle.stop();
+
+		} );
+
+	},
+
+	stopAll: function () {
+
+		this.active.slice().forEach( function ( handle ) {
+
+			handle.stop();
+
+		} );
+
+	},
+
+	remove: function ( handle ) {
+
+		var index = this.active.indexOf( handle );
+		if ( index !== - 1 ) this.active.splice( index, 1 );
+
+	},
+
+	clone: function ( value ) {
+
+		return ( value !== null && typeof value === 'object' && value.clone ) ? value.clone() : value;
+
+	},
+
+	// Interpolation for each supported value type, writing into target
+
+	lerp: function ( value ) {
+
+		if ( typeof value === 'number' ) return null;
+
+		if ( value && value.isQuaternion ) {
+
+			return function ( target, a, b, t ) {
+
+				THREE.Quaternion.slerp( a, b, target, t );
+
+			};
+
+		}
+
+		if ( value && value.isEuler ) {
+
+			return function ( target, a, b, t ) {
+
+				target.set(
+					a.x + ( b.x - a.x ) * t,
+					a.y + ( b.y - a.y ) * t,
+					a.z + ( b.z - a.z ) * t,
+					b.order
+				);
+
+			};
+
+		}
+
+		if ( value && ( value.isColor || value.isVector2 || value.isVector3 || value.isVector4 ) ) {
+
+			return function ( target, a, b, t ) {
+
+				target.copy( a ).lerp( b, t );
+
+			};
+
+		}
+
+		throw new Error( 'TWEENS: cannot tween ' + value );
+
+	},
+
+	// Whether TWEENS.to() can animate this value
+
+	tweenable: function ( value ) {
+
+		try {
+
+			this.lerp( value );
+			return true;
+
+		} catch ( e ) {
+
+			return false;
+
+		}
+
+	}
+
+};
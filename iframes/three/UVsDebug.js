@@ -1,124 +1,516 @@
-/* 
+/*
  * @author zz85 / http://github.com/zz85
  * @author WestLangley / http://github.com/WestLangley
  *
- * tool for "unwrapping" and debugging three.js 
+ * tool for "unwrapping" and debugging three.js
  * geometries UV mapping
  *
+ * Reads the uv (or uv2) attribute of indexed and non-indexed BufferGeometry,
+ * or the faceVertexUvs of a Geometry. UVs outside of 0..1 are wrapped into
+ * the square on both axes, as a repeating texture would be.
+ *
+ * options:
+ *	uv:       'uv' or 'uv2', default 'uv'
+ *	format:   'canvas' or 'svg', default 'canvas'
+ *	labels:   true to label every face with its index
+ *	overlaps: true to fill faces whose UVs overlap another face's, which a
+ *	          texture would paint the same
+ *	seams:    true to draw the edges that are cut open in the UVs, where two
+ *	          faces share an edge in space but not in the UVs
+ *
  * Sample usage:
- *	document.body.appendChild( THREE.UVsDebug( new THREE.SphereGeometry( 10, 10, 10, 10 ) );
+ *	document.body.appendChild( THREE.UVsDebug( new THREE.SphereBufferGeometry( 10, 10, 10, 10 ) ) );
+ *	document.body.appendChild( THREE.UVsDebug( mesh.geometry, 512, { format: 'svg', seams: true, overlaps: true } ) );
  *
  */
- 
-THREE.UVsDebug = function( geometry, size ) {
 
-	// handles wrapping of uv.x > 1 only
-    
-	var abc = 'abc';
+THREE.UVsDebug = function ( geometry, size, options ) {
+
+	options = options || {};
+
+	var width = size || 1024;
+	var height = size || 1024;
+
+	var faces = THREE.UVsDebug.faces( geometry, options.uv || 'uv' );
+	var painter = options.format === 'svg' ? THREE.UVsDebug.svg( width, height ) : THREE.UVsDebug.canvas( width, height );
+
+	var overlapping = options.overlaps ? THREE.UVsDebug.overlaps( faces ) : {};
+
+	faces.forEach( function ( face, i ) {
+
+		THREE.UVsDebug.copies( face.uvs ).forEach( function ( uvs ) {
+
+			painter.polygon( uvs, 'rgba( 255, 0, 0, 1.0 )', overlapping[ i ] ? 'rgba( 255, 0, 255, 0.35 )' : null );
+
+		} );
+
+	} );
+
+	if ( options.seams ) {
+
+		THREE.UVsDebug.seams( faces ).forEach( function ( edge ) {
+
+			// wherever its face is drawn
+			THREE.UVsDebug.copies( faces[ edge.face ].uvs ).forEach( function ( uvs ) {
+
+				painter.line( uvs[ edge.ends[ 0 ] ], uvs[ edge.ends[ 1 ] ], 'rgba( 0, 136, 204, 1.0 )' );
+
+			} );
+
+		} );
+
+	}
+
+	if ( options.labels ) {
+
+		faces.forEach( function ( face, i ) {
+
+			var center = new THREE.Vector2();
+
+			face.uvs.forEach( function ( uv ) {
+
+				center.add( uv );
+
+			} );
+
+			center.divideScalar( face.uvs.length );
+			center.set( THREE.Math.euclideanModulo( center.x, 1 ), THREE.Math.euclideanModulo( center.y, 1 ) );
+
+			painter.text( i, center, 'rgba( 0, 0, 0, 1.0 )' );
+
+		} );
+
+	}
+
+	return painter.element;
+
+};
+
+// Every triangle as { uvs: [ a, b, c ], positions: [ a, b, c ] }
+
+THREE.UVsDebug.faces = function ( geometry, name ) {
+
+	var faces = [];
+	var i, j;
+
+	if ( geometry.isBufferGeometry ) {
+
+		var index = geometry.index;
+		var position = geometry.attributes.position;
+		var uv = geometry.attributes[ name ];
+
+		if ( uv === undefined ) {
+
+			console.warn( 'THREE.UVsDebug: the geometry has no ' + name + ' attribute.' );
+			return faces;
+
+		}
+
+		var count = index ? index.count : position.count;
+
+		for ( i = 0; i + 2 < count; i += 3 ) {
+
+			var face = { uvs: [], positions: [] };
+
+			for ( j = 0; j < 3; j ++ ) {
+
+				var vertex = index ? index.getX( i + j ) : i + j;
+
+				face.uvs.push( new THREE.Vector2().fromBufferAttribute( uv, vertex ) );
+				face.positions.push( new THREE.Vector3().fromBufferAttribute( position, vertex ) );
+
+			}
+
+			faces.push( face );
+
+		}
+
+	} else {
+
+		var uvs = geometry.faceVertexUvs[ name === 'uv2' ? 1 : 0 ] || [];
+
+		for ( i = 0; i < uvs.length; i ++ ) {
+
+			var abc = geometry.faces[ i ];
+
+			faces.push( {
+				uvs: uvs[ i ],
+				positions: [ geometry.vertices[ abc.a ], geometry.vertices[ abc.b ], geometry.vertices[ abc.c ] ]
+			} );
+
+		}
+
+	}
+
+	return faces;
+
+};
+
+// The UVs moved by whole tiles to each place they show up in the square: the
+// tile they start in and the tiles to the left and below that they reach into
+
+THREE.UVsDebug.copies = function ( uvs ) {
+
+	var min = new THREE.Vector2( Infinity, Infinity );
+	var max = new THREE.Vector2( - Infinity, - Infinity );
+
+	uvs.forEach( function ( uv ) {
+
+		min.min( uv );
+		max.max( uv );
+
+	} );
+
+	var start = new THREE.Vector2( Math.floor( min.x ), Math.floor( min.y ) );
+	var copies = [];
+
+	for ( var x = start.x; x < max.x; x ++ ) {
+
+		for ( var y = start.y; y < max.y; y ++ ) {
+
+			copies.push( uvs.map( function ( uv ) {
+
+				return new THREE.Vector2( uv.x - x, uv.y - y );
+
+			} ) );
+
+		}
+
+	}
+
+	// a face with no area on one of the axes still gets drawn once
+	if ( copies.length === 0 ) {
+
+		copies.push( uvs.map( function ( uv ) {
+
+			return uv.clone().sub( start );
+
+		} ) );
+
+	}
+
+	return copies;
+
+};
+
+// Indices of the faces that overlap another face in the square, as keys
+
+THREE.UVsDebug.overlaps = function ( faces ) {
+
+	var cells = 32;
+	var grid = {};
+	var overlapping = {};
+	var tested = {};
+	var pieces = 0;
+
+	faces.forEach( function ( face, i ) {
+
+		if ( THREE.UVsDebug.area( face.uvs ) < 1e-12 ) return;
+
+		THREE.UVsDebug.copies( face.uvs ).forEach( function ( uvs ) {
+
+			var box = new THREE.Box2().setFromPoints( uvs );
+			// faces across the edge of the square come in several pieces
+			var piece = { id: pieces ++, face: i, uvs: uvs };
+
+			for ( var x = Math.max( 0, Math.floor( box.min.x * cells ) ); x <= Math.min( cells - 1, Math.floor( box.max.x * cells ) ); x ++ ) {
 
-	var uv, u, ax, ay;
-	var i, il, j, jl;
-	var vnum;
+				for ( var y = Math.max( 0, Math.floor( box.min.y * cells ) ); y <= Math.min( cells - 1, Math.floor( box.max.y * cells ) ); y ++ ) {
 
-	var a = new THREE.Vector2();
-	var b = new THREE.Vector2();
+					var key = x + ',' + y;
+					( grid[ key ] = grid[ key ] || [] ).push( piece );
 
-	var geo = ( geometry instanceof THREE.BufferGeometry ) ? new THREE.Geometry().fromBufferGeometry( geometry ) : geometry;
+				}
 
-	var faces = geo.faces;
-	var uvs = geo.faceVertexUvs[ 0 ];
+			}
+
+		} );
+
+	} );
+
+	Object.keys( grid ).forEach( function ( key ) {
+
+		var pieces = grid[ key ];
+
+		for ( var i = 0; i < pieces.length; i ++ ) {
+
+			for ( var j = i + 1; j < pieces.length; j ++ ) {
+
+				var a = pieces[ i ], b = pieces[ j ];
+
+				if ( overlapping[ a.face ] && overlapping[ b.face ] ) continue;
+
+				var pair = Math.min( a.id, b.id ) + ',' + Math.max( a.id, b.id );
+
+				if ( a.face === b.face || tested[ pair ] ) continue;
+
+				tested[ pair ] = true;
+
+				if ( THREE.UVsDebug.intersect( a.uvs, b.uvs ) ) {
+
+					overlapping[ a.face ] = overlapping[ b.face ] = true;
+
+				}
+
+			}
+
+		}
+
+	} );
+
+	return overlapping;
+
+};
+
+// Edges that two faces share in space but not in the UVs, as { face, ends }
+// with the corners of the face at the ends of the edge
+
+THREE.UVsDebug.seams = function ( faces ) {
+
+	var edges = {};
+	var seams = [];
+
+	function key( position ) {
+
+		return [ position.x, position.y, position.z ].map( function ( value ) {
+
+			return Math.round( value * 1e4 ) / 1e4;
+
+		} ).join( ',' );
+
+	}
+
+	faces.forEach( function ( face, i ) {
+
+		for ( var j = 0; j < 3; j ++ ) {
+
+			var k = ( j + 1 ) % 3;
+			var a = key( face.positions[ j ] ), b = key( face.positions[ k ] );
+
+			if ( a === b ) continue;
+
+			// the corners in the order of the edge's ends, whichever way round
+			// the face has them
+			var edge = { face: i, ends: a < b ? [ j, k ] : [ k, j ] };
+			var id = a < b ? a + '|' + b : b + '|' + a;
+
+			( edges[ id ] = edges[ id ] || [] ).push( edge );
+
+		}
+
+	} );
+
+	function uv( edge, end ) {
+
+		return faces[ edge.face ].uvs[ edge.ends[ end ] ];
+
+	}
+
+	Object.keys( edges ).forEach( function ( id ) {
+
+		var sides = edges[ id ];
+
+		var cut = sides.some( function ( edge ) {
+
+			return uv( edge, 0 ).distanceTo( uv( sides[ 0 ], 0 ) ) > 1e-5 || uv( edge, 1 ).distanceTo( uv( sides[ 0 ], 1 ) ) > 1e-5;
+
+		} );
+
+		if ( cut ) seams.push.apply( seams, sides );
+
+	} );
+
+	return seams;
+
+};
+
+THREE.UVsDebug.area = function ( uvs ) {
+
+	return Math.abs( ( uvs[ 1 ].x - uvs[ 0 ].x ) * ( uvs[ 2 ].y - uvs[ 0 ].y ) - ( uvs[ 2 ].x - uvs[ 0 ].x ) * ( uvs[ 1 ].y - uvs[ 0 ].y ) ) / 2;
+
+};
+
+// Separating axis test, triangles that only touch don't intersect
+
+THREE.UVsDebug.intersect = function ( a, b ) {
+
+	var axis = new THREE.Vector2();
+
+	function project( uvs ) {
+
+		var min = Infinity, max = - Infinity;
+
+		uvs.forEach( function ( uv ) {
+
+			var d = uv.dot( axis );
+			min = Math.min( min, d );
+			max = Math.max( max, d );
+
+		} );
+
+		return [ min, max ];
+
+	}
+
+	var triangles = [ a, b ];
+
+	for ( var t = 0; t < 2; t ++ ) {
+
+		for ( var i = 0; i < 3; i ++ ) {
+
+			var p = triangles[ t ][ i ], q = triangles[ t ][ ( i + 1 ) % 3 ];
+			axis.set( p.y - q.y, q.x - p.x ).normalize();
+
+			var pa = project( a ), pb = project( b );
+
+			if ( pa[ 1 ] - pb[ 0 ] < 1e-7 || pb[ 1 ] - pa[ 0 ] < 1e-7 ) return false;
+
+		}
+
+	}
+
+	return true;
+
+};
+
+// Painters, drawing the UV square ( 0, 0 ) bottom left
+
+THREE.UVsDebug.canvas = function ( width, height ) {
 
 	var canvas = document.createElement( 'canvas' );
-	var width = size || 1024;   // power of 2 required for wrapping
-	var height = size || 1024;
 	canvas.width = width;
 	canvas.height = height;
 
 	var ctx = canvas.getContext( '2d' );
 	ctx.lineWidth = 2;
-	// ctx.strokeStyle = 'rgba( 0, 0, 0, 1.0 )';
-	ctx.strokeStyle = 'rgba( 255, 0, 0, 1.0 )';
 	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.font = Math.max( 8, Math.round( width / 64 ) ) + 'px Arial';
+
+	return {
 
-	// paint background white
+		element: canvas,
 
-    // ctx.fillStyle = 'rgba( 255, 255, 255, 1.0 )';
-    // ctx.fillRect( 0, 0, width, height );
+		polygon: function ( uvs, stroke, fill ) {
 
-    for ( i = 0, il = uvs.length; i < il; i++ ) {
+			ctx.beginPath();
 
-        uv = uvs[ i ];
+			uvs.forEach( function ( uv, j ) {
 
-        // draw lines
+				if ( j === 0 ) ctx.moveTo( uv.x * width, ( 1 - uv.y ) * height );
+				else ctx.lineTo( uv.x * width, ( 1 - uv.y ) * height );
 
-        ctx.beginPath();
+			} );
 
-        a.set( 0, 0 );
+			ctx.closePath();
 
-        for ( j = 0, jl = uv.length; j < jl; j++ ) {
+			if ( fill ) {
 
-            u = uv[ j ];
+				ctx.fillStyle = fill;
+				ctx.fill();
 
-            a.x += u.x;
-            a.y += u.y;
+			}
 
-            if ( j == 0 ) {
+			ctx.strokeStyle = stroke;
+			ctx.stroke();
 
-                ctx.moveTo( u.x * width, ( 1 - u.y ) * height );
+		},
 
-            } else {
+		line: function ( a, b, stroke ) {
 
-                ctx.lineTo( u.x * width, ( 1 - u.y ) * height );
+			ctx.save();
+			ctx.lineWidth = 4;
+			ctx.strokeStyle = stroke;
+			ctx.beginPath();
+			ctx.moveTo( a.x * width, ( 1 - a.y ) * height );
+			ctx.lineTo( b.x * width, ( 1 - b.y ) * height );
+			ctx.stroke();
+			ctx.restore();
 
-            }
+		},
 
-        }
+		text: function ( text, uv, fill ) {
 
-        ctx.closePath();
-        ctx.stroke();
+			ctx.fillStyle = fill;
+			ctx.fillText( text, uv.x * width, ( 1 - uv.y ) * height );
 
-        a.divideScalar( jl );
+		}
 
-        // label the face number
+	};
 
-        // ctx.font = "12pt Arial bold";
-        // ctx.fillStyle = 'rgba( 0, 0, 0, 1.0 )';
-        // ctx.fillText( i, a.x * width, ( 1 - a.y ) * height );
+};
 
-				// if ( a.x > 0.95 ) {
+THREE.UVsDebug.svg = function ( width, height ) {
 
-					// wrap x // 0.95 is arbitrary
+	var ns = 'http://www.w3.org/2000/svg';
 
-        	// ctx.fillText( i, ( a.x % 1 ) * width, ( 1 - a.y ) * height );
+	var svg = document.createElementNS( ns, 'svg' );
+	svg.setAttribute( 'width', width );
+	svg.setAttribute( 'height', height );
+	svg.setAttribute( 'viewBox', '0 0 ' + width + ' ' + height );
+	svg.setAttribute( 'font-family', 'Arial' );
+	svg.setAttribute( 'font-size', Math.max( 8, Math.round( width / 64 ) ) );
+	svg.setAttribute( 'text-anchor', 'middle' );
 
-        // }
+	function add( name, attributes ) {
 
-        // ctx.font = "8pt Arial bold";
-        // ctx.fillStyle = 'rgba( 0, 0, 0, 1.0 )';
+		var element = document.createElementNS( ns, name );
 
-        // label uv edge orders
+		Object.keys( attributes ).forEach( function ( attribute ) {
 
-        // for ( j = 0, jl = uv.length; j < jl; j++ ) {
+			element.setAttribute( attribute, attributes[ attribute ] );
 
-        //     u = uv[ j ];
-        //     b.addVectors( a, u ).divideScalar( 2 );
+		} );
 
-        //     vnum = faces[ i ][ abc[ j ] ];
-        //     ctx.fillText( abc[ j ] + vnum, b.x * width, ( 1 - b.y ) * height );
+		svg.appendChild( element );
+		return element;
 
-				// if ( b.x > 0.95 ) {
+	}
 
-					// wrap x
+	function point( uv ) {
 
-					// ctx.fillText( abc[ j ] + vnum, ( b.x % 1 ) * width, ( 1 - b.y ) * height );
+		return uv.x * width + ',' + ( 1 - uv.y ) * height;
 
-        //     }
+	}
 
-        // }
+	return {
 
-    }
+		element: svg,
 
-    return canvas;
+		polygon: function ( uvs, stroke, fill ) {
 
-};
+			add( 'polygon', {
+				points: uvs.map( point ).join( ' ' ),
+				stroke: stroke,
+				fill: fill || 'none',
+				'stroke-width': 2,
+				'stroke-linejoin': 'round'
+			} );
+
+		},
+
+		line: function ( a, b, stroke ) {
+
+			add( 'line', {
+				x1: a.x * width, y1: ( 1 - a.y ) * height,
+				x2: b.x * width, y2: ( 1 - b.y ) * height,
+				stroke: stroke,
+				'stroke-width': 4,
+				'stroke-linecap': 'round'
+			} );
+
+		},
 
+		text: function ( text, uv, fill ) {
+
+			add( 'text', {
+				x: uv.x * width, y: ( 1 - uv.y ) * height,
+				fill: fill,
+				'dominant-baseline': 'middle'
+			} ).textContent = text;
+
+		}
+
+	};
+
+};
@@ -0,0 +1,139 @@
+/**
+ * A perspective camera that morphs into an orthographic one.
+ *
+ * THREE.CombinedCamera = function ( fov, aspect, near, far, focus )
+ *
+ * blend goes from 0 (perspective) to 1 (orthographic). In between the camera
+ * does a dolly zoom: the field of view narrows while the eye moves back, so
+ * everything at the focus distance keeps its size on screen and the
+ * perspective flattens out until the orthographic frustum takes over. The
+ * near and far planes stay where they are. focus defaults to halfway between
+ * near and far, like the CombinedCamera that used to ship with three.js.
+ *
+ * The morph lives in the projection matrix, so a THREE.CameraHelper shows
+ * the frustum as it changes. View offsets and film offsets are ignored.
+ *
+ * Sample usage:
+ *	camera = new THREE.CombinedCamera( 45, width / height, 150, 1200 );
+ *	helper = new THREE.CameraHelper( camera );
+ *
+ *	TWEENS.to( camera, 'blend', 1, { onUpdate: function () {
+ *		camera.updateProjectionMatrix();
+ *		helper.update();
+ *	} } );
+ */
+
+THREE.CombinedCamera = function ( fov, aspect, near, far, focus ) {
+
+	THREE.PerspectiveCamera.call( this, fov, aspect, near, far );
+
+	this.type = 'CombinedCamera';
+
+	this.focus = focus !== undefined ? focus : ( this.near + this.far ) / 2;
+	this.blend = 0;
+
+	this.updateProjectionMatrix();
+
+};
+
+THREE.CombinedCamera.prototype = Object.assign( Object.create( THREE.PerspectiveCamera.prototype ), {
+
+	constructor: THREE.CombinedCamera,
+
+	isCombinedCamera: true,
+
+	copy: function ( source, recursive ) {
+
+		THREE.PerspectiveCamera.prototype.copy.call( this, source, recursive );
+
+		this.focus = source.focus;
+		this.blend = source.blend;
+
+		return this;
+
+	},
+
+	toPerspective: function () {
+
+		this.blend = 0;
+		this.updateProjectionMatrix();
+
+	},
+
+	toOrthographic: function () {
+
+		this.blend = 1;
+		this.updateProjectionMatrix();
+
+	},
+
+	inPerspectiveMode: function () {
+
+		return this.blend <= 0;
+
+	},
+
+	inOrthographicMode: function () {
+
+		return this.blend >= 1;
+
+	},
+
+	updateProjectionMatrix: function () {
+
+		var translation = new THREE.Matrix4();
+
+		return function updateProjectionMatrix() {
+
+			// focus is undefined while PerspectiveCamera is still constructing
+			if ( this.focus === undefined ) {
+
+				THREE.PerspectiveCamera.prototype.updateProjectionMatrix.call( this );
+				return;
+
+			}
+
+			var blend = THREE.Math.clamp( this.blend, 0, 1 );
+			var tan = Math.tan( THREE.Math.DEG2RAD * 0.5 * this.fov ) / this.zoom;
+			var top, right;
+
+			if ( blend >= 1 ) {
+
+				top = this.focus * tan;
+				right = top * this.aspect;
+
+				this.projectionMatrix.makeOrthographic( - right, right, top, - top, this.near, this.far );
+
+			} else {
+
+				// narrower field of view from further back, same size at focus
+				var scale = Math.max( 1 - blend, 0.001 );
+				var distance = this.focus / scale - this.focus;
+				var near = this.near + distance;
+
+				top = near * tan * scale;
+				right = top * this.aspect;
+
+				this.projectionMatrix.makePerspective( - right, right, top, - top, near, this.far + distance );
+				this.projectionMatrix.multiply( translation.makeTranslation( 0, 0, - distance ) );
+
+			}
+
+			this.projectionMatrixInverse.getInverse( this.projectionMatrix );
+
+		};
+
+	}(),
+
+	toJSON: function ( meta ) {
+
+		var data = THREE.PerspectiveCamera.prototype.toJSON.call( this, meta );
+
+		data.object.focus = this.focus;
+		data.object.blend = this.blend;
+
+		return data;
+
+	}
+
+} );
@@ -18,10 +18,10 @@
 
 	Why is this useful?
 	
-	1. This creates a THREE.Object3D() per connected Gamepad instance and 
-	   passes it to you through a Window event for inclusion in your scene. 
-	   It then handles copying the live positions and orientations from the
-	   Gamepad instance to this Object3D.
+	1. This creates a THREE.Object3D() per connected Gamepad instance and
+	   per WebXR input source with a gamepad, and passes it to you through a
+	   Window event for inclusion in your scene. It then handles copying the
+	   live positions and orientations of the input source to this Object3D.
 	2. It also broadcasts Gamepad button and axes events to you on this
 	   Object3D instance. For your convenience button names are mapped to
 	   objects in the buttons array on supported devices. (And this support 
@@ -36,13 +36,36 @@
 	1. Include THREE.VRController.update() in your animation loop and listen
 	   for controller connection events like so:
 	   window.addEventlistener('vr controller connected', (controller)=>{}).
-	2. When you receive a controller instance -- again, just an Object3D --
-	   you ought to set its standingMatrix property equal to your
-	   renderer.vr.getStandingMatrix(). If you are expecting a 3DOF controller
-	   you must set its head property equal to your camera.
+	   Plain gamepads (Xbox and friends) connect through the Gamepad API
+	   with just that.
+	2. For headsets hand your WebXR session and reference space over with
+	   THREE.VRController.setSession( session, referenceSpace ) and pass
+	   the XRFrame of your session's animation loop to
+	   THREE.VRController.update( frame ). Poses are read in that reference
+	   space, so use 'local-floor' to have controllers up in your hands
+	   instead of on the floor. Controllers whose position the browser
+	   only emulates (3DOF) get ours from an arm model that follows the
+	   viewer's head.
 	3. Experiment and HAVE FUN!
 
 
+	Can I try it without a controller?
+
+	Everything goes through two hooks, so a script can stand in for the
+	hardware: THREE.VRController.getGamepads() returns what
+	navigator.getGamepads() does and THREE.VRController.now() the time
+	vibes are scheduled with. Replace them to feed in scripted gamepad
+	snapshots ({ index, id, mapping, axes: [], buttons: [{ value, touched,
+	pressed }], hapticActuators: [{ pulse }] }, null where a gamepad was
+	unplugged) and a clock, call THREE.VRController.update() after each one
+	and watch the events and what reaches pulse():
+
+	   THREE.VRController.getGamepads = function(){ return [ snapshot ] }
+	   THREE.VRController.now = function(){ return time }
+
+	spec/VRController.spec.js does just that: node --test spec/*.spec.js
+
+
 */
 
 
@@ -55,7 +78,7 @@
 ///////////////////////
 
 
-THREE.VRController = function( gamepad ) {
+THREE.VRController = function( gamepad, inputSource ) {
 
 	var
 		supported,
@@ -70,17 +93,13 @@ THREE.VRController = function( gamepad ) {
 	this.matrixAutoUpdate = false;
 
 
-	//  ATTENTION !
-	//
-	//  You ought to overwrite these TWO special properties on the instance in
-	//  your own code. For example for 6DOF controllers:
-	//    controller.standingMatrix = renderer.vr.getStandingMatrix()
-	//  And for 3DOF controllers:
+	//  The head the arm model of 3DOF controllers hangs off. During a WebXR
+	//  frame it follows the viewer pose, outside of one you can set it to
+	//  your camera:
 	//    controller.head = camera
 	//  Quick FYI: “DOF” means “Degrees of Freedom”. If you can rotate about 
 	//  3 axes and also move along 3 axes then 3 + 3 = 6 degrees of freedom.
 
-	this.standingMatrix = new THREE.Matrix4();
 	this.head = {
 		position:   new THREE.Vector3(),
 		quaternion: new THREE.Quaternion()
@@ -88,13 +107,15 @@ THREE.VRController = function( gamepad ) {
 
 
 	//  It is crucial that we have a reference to the actual gamepad.
-	//  In addition to requiring its .pose for position and orientation
-	//  updates, it also gives us all the goodies like .id, .index,
-	//  and maybe best of all... haptics!
+	//  It gives us all the goodies like .buttons, .axes and maybe best of
+	//  all... haptics! A WebXR input source also tells us which hand holds
+	//  it and where it is through its spaces. Its profile ids, most specific
+	//  first, stand in for the gamepad id.
 
 	this.gamepad       = gamepad;
-	this.name          = gamepad.id;
-	this.dof           = gamepad.pose ? 3 * ( +gamepad.pose.hasOrientation + +gamepad.pose.hasPosition ) : 0;
+	this.inputSource   = inputSource;
+	this.name          = inputSource ? inputSource.profiles[ 0 ] || 'xr-standard' : gamepad.id;
+	this.dof           = inputSource ? ( inputSource.gripSpace ? 6 : 3 ) : 0;
 
 	this.axisThreshold = 0.2;
 	this.axisPressThreshold = 0.6;
@@ -133,12 +154,21 @@ THREE.VRController = function( gamepad ) {
 	//  supported = THREE.VRController.supported[ gamepad.id ]
 	//  Instead we must loop through some object keys first.
 
-	supported = THREE.VRController.getSupportedById( gamepad.id );
+	//  Pads we don't know by id but that use the W3C "standard" Gamepad
+	//  mapping have their buttons where an Xbox pad has them.
+
+	supported = inputSource ?
+		THREE.VRController.getSupportedByProfiles( inputSource ) :
+		THREE.VRController.getSupportedById( gamepad.id );
+
+	if ( supported === undefined && gamepad.mapping === 'standard' ) {
+		supported = THREE.VRController.supported.standard;
+	}
 
 	//  Setup states so we can watch for change events.
 	//  This includes hand, axes, and buttons.
 
-	hand = gamepad.hand;
+	hand = THREE.VRController.getHand( gamepad, inputSource );
 
 	axes.byName = {};
 
@@ -154,6 +184,15 @@ THREE.VRController = function( gamepad ) {
 
 			var isThumbstick = axesMap.name.startsWith('thumbstick');
 
+			//  Thumbpads (Vive, Daydream, Gear VR) press in a direction too,
+			//  but only while the pad is clicked: a thumb resting on it
+			//  already moves the axes.
+
+			var padButton = axesMap.name === 'thumbpad' && supported.buttons ?
+				Math.max( supported.buttons.indexOf( 'thumbpad' ), supported.buttons.indexOf( 'touchpad' )) : -1;
+
+			var isDPad = isThumbstick || padButton > -1;
+
 			if ( isThumbstick ) {
 				// only apply filter if both axes are below threshold
 				var filteredX = scope.filterAxis( axisX );
@@ -168,10 +207,11 @@ THREE.VRController = function( gamepad ) {
 				name: axesMap.name,
 				indexes: axesMap.indexes,
 				value: [ axisX, axisY ],
-				isThumbstick: isThumbstick
+				isThumbstick: isThumbstick,
+				padButton: padButton
 			};
 
-			if ( isThumbstick ) {
+			if ( isDPad ) {
 				axes[ i ].dpad = {
 					'up':    { index: i1, isPressed: false },
 					'down':  { index: i1, isPressed: false },
@@ -260,14 +300,14 @@ THREE.VRController = function( gamepad ) {
 
 	};
 
-	this.getAxes = function( index ) {
+	this.getAxes = function( nameOrIndex ) {
 
 		if ( nameOrIndex === undefined ) {
 			return axes;
 		} else if ( typeof nameOrIndex === 'string' ) {
 			return axes.byName[ nameOrIndex ];
 		} else if ( typeof nameOrIndex === 'number' ) {
-			return axes[ index ];
+			return axes[ nameOrIndex ];
 		}
 
 	};
@@ -331,18 +371,25 @@ THREE.VRController = function( gamepad ) {
 
 	this.pollForChanges = function() {
 
+		//  Chromium hands out a fresh Gamepad snapshot on every
+		//  navigator.getGamepads() call, so THREE.VRController.update()
+		//  swaps in the latest one before we get here.
+
+		gamepad = this.gamepad;
+
 		var
 			verbosity  = THREE.VRController.verbosity,
 			controller = this,
-			controllerInfo = '> #'+ controller.gamepad.index +' '+ controller.gamepad.id +' ';
+			controllerInfo = '> #'+ controller.gamepad.index +' '+ controller.name +' ',
+			currentHand = THREE.VRController.getHand( gamepad, controller.inputSource );
 
 			if ( hand ) controllerInfo += '(Hand: '+ hand +') ';
 
 		//  Did the hand change?
 
-		if ( hand !== controller.gamepad.hand ) {
-			if( verbosity >= 0.4 ) console.log( controllerInfo +'hand changed from "'+ hand +'" to "'+ controller.gamepad.hand +'"' );
-			hand = controller.gamepad.hand;
+		if ( hand !== currentHand ) {
+			if( verbosity >= 0.4 ) console.log( controllerInfo +'hand changed from "'+ hand +'" to "'+ currentHand +'"' );
+			hand = currentHand;
 			controller.dispatchEvent({ type: 'hand changed', hand: hand });
 		}
 
@@ -353,7 +400,10 @@ THREE.VRController = function( gamepad ) {
 			var i0 = axes[ i ].indexes[0];
 			var i1 = axes[ i ].indexes[1];
 
-			if ( gamepad.axes[ i0 ] && gamepad.axes[ i1 ] ) {
+			//  Resting at exactly 0 is a value too, or releasing a stick
+			//  would never end its d-pad press.
+
+			if ( gamepad.axes[ i0 ] !== undefined && gamepad.axes[ i1 ] !== undefined ) {
 
 				var axesVal = axes[ i ].value;
 				var axisX = gamepad.axes[ i0 ];
@@ -375,9 +425,9 @@ THREE.VRController = function( gamepad ) {
 
 					// Vive’s thumbpad is the only controller axes that uses
 					// a "Goofy" Y-axis. We’re going to INVERT it so you
-					// don’t have to worry about it!
+					// don’t have to worry about it! (WebXR already did.)
 					var axesValues = [ axisX, axisY ];
-					if ( this.style === 'vive' && axes[i].name === 'thumbpad' ) {
+					if ( this.style === 'vive' && axes[i].name === 'thumbpad' && ! this.inputSource ) {
 						axesValues[ 1 ] *= -1;
 					}
 
@@ -386,16 +436,26 @@ THREE.VRController = function( gamepad ) {
 				}
 
 				// emulate d-pad with axes
-				if ( axes[ i ].isThumbstick ) {
+				if ( axes[ i ].dpad ) {
 					var axisDPad = axes[ i ].dpad;
-					for ( d in axisDPad ) {
+					var pad = gamepad.buttons[ axes[ i ].padButton ];
+					var padClicked = axes[ i ].padButton < 0 || ( pad !== undefined && pad.pressed );
+					for ( var d in axisDPad ) {
 						var axis = axisDPad[d];
 						var v = gamepad.axes[ axis.index ];
+						var axisPressed = 0;
+
+						// up is up on Vive’s “Goofy” thumbpad as well
+						if ( this.style === 'vive' && axes[i].name === 'thumbpad' && ! this.inputSource && ( d == 'up' || d == 'down' ) ) {
+							v *= -1;
+						}
 
-						if (d == 'right' || d == 'down') {
-							var axisPressed = v > this.axisPressThreshold ? v : 0;
+						if ( ! padClicked ) {
+							axisPressed = 0;
+						} else if (d == 'right' || d == 'down') {
+							axisPressed = v > this.axisPressThreshold ? v : 0;
 						} else if (d == 'left' || d == 'up') {
-							var axisPressed = v < -this.axisPressThreshold ? v : 0;
+							axisPressed = v < -this.axisPressThreshold ? v : 0;
 						}
 
 						if ( axis.isPressed !== !!axisPressed ) {
@@ -469,13 +529,14 @@ THREE.VRController.prototype.constructor = THREE.VRController;
 
 
 //  Update the position, orientation, and button states,
-//  fire button events if nessary.
+//  fire button events if nessary. Poses need the XRFrame and reference
+//  space of a WebXR session, plain gamepads only have buttons and axes.
 
-THREE.VRController.prototype.update = function(){
+THREE.VRController.prototype.update = function( frame, referenceSpace ){
 
 	var
-		gamepad = this.gamepad,
-		pose = gamepad.pose;
+		inputSource = this.inputSource,
+		pose, viewerPose, transform, head;
 
 
 	//  Poll for changes in hand, axes, and button states.
@@ -487,20 +548,17 @@ THREE.VRController.prototype.update = function(){
 
 	this.applyVibes();
 
-	//  Once connected a gamepad will have a not-undefined pose
-	//  but that pose will be null until a user action ocurrs.
-	//  Similarly if a gamepad has powered off or disconnected
-	//  the pose will contain all nulls.
-	//  We have to check this ourselves because the Gamepad API
-	//  might not report a disconnection reliably :'(
-	//  Either way, if we’re all null let’s bail by returning early.
+	//  Poses only exist during a frame of the XR session. The grip space is
+	//  where the controller is held, controllers without one (Daydream-like
+	//  pointers) only have the space their ray is cast from.
+	//  A pose can also be null while tracking is lost, in which case the
+	//  controller stays where it was last seen.
 
-	if ( pose === null || pose === undefined || ( pose.orientation === null && pose.position === null )) {
+	if ( inputSource === undefined || frame === undefined || referenceSpace === undefined ) return;
 
-		if ( this.hasPosed === true ) THREE.VRController.onGamepadDisconnect( gamepad );
-		return;
+	pose = frame.getPose( inputSource.gripSpace || inputSource.targetRaySpace, referenceSpace );
+	if ( pose === null || pose === undefined ) return;
 
-	}
 	if ( this.hasPosed !== true ) {
 
 		this.hasPosed = true;
@@ -508,36 +566,30 @@ THREE.VRController.prototype.update = function(){
 
 	}
 
+	transform = pose.transform;
 
-	//  If we’ve gotten to here then gamepad.pose has a definition
-	//  so now we can set a convenience variable to know if we are 3DOF or 6DOF.
 
-	// this.dof = ( +gamepad.pose.hasOrientation + +gamepad.pose.hasPosition ) * 3;
+	//  ORIENTATION. Every pose has one.
 
+	this.quaternion.set( transform.orientation.x, transform.orientation.y, transform.orientation.z, transform.orientation.w );
 
-	//  ORIENTATION. Do we have data for this?
-	//  If so let's use it. If not ... no fallback plan.
 
-	if ( pose.orientation !== null ) this.quaternion.fromArray( pose.orientation );
+	//  POSITION -- REAL!
+	//  Tracked controllers (6DOF) report where they are.
 
+	this.dof = pose.emulatedPosition ? 3 : 6;
 
-	//  POSITION -- EXISTS!
-	//  If we have position data then we can assume we also have orientation
-	//  because this is the expected behavior of 6DOF controllers.
-	//  If we don’t have orientation it will just use the previous orientation data.
+	if ( this.dof === 6 ) {
 
-	if ( pose.position !== null ) {
-
-		this.position.fromArray( pose.position );
+		this.position.set( transform.position.x, transform.position.y, transform.position.z );
 		this.matrix.compose( this.position, this.quaternion, this.scale );
 
 	} else {
 
-	//  POSITION -- NOPE ;(
-	//  But if we don’t have position data we’ll assume our controller is only 3DOF
-	//  and use an arm model that takes head position and orientation into account.
-	//  So don’t forget to set controller.head to reference your VR camera so we can
-	//  do the following math.
+	//  POSITION -- EMULATED ;(
+	//  The browser only guesses where 3DOF controllers are, so we use an arm
+	//  model that takes head position and orientation into account, with
+	//  the viewer pose of this frame as the head.
 
 
 		//  If this is our first go-round with a 3DOF this then we’ll need to
@@ -545,20 +597,32 @@ THREE.VRController.prototype.update = function(){
 
 		if ( this.armModel === undefined ) {
 
-			if( THREE.VRController.verbosity >= 0.5 ) console.log( '> #'+ gamepad.index +' '+ gamepad.id +' (Hand: '+ this.getHand() +') adding OrientationArmModel' )
+			if( THREE.VRController.verbosity >= 0.5 ) console.log( '> '+ this.name +' (Hand: '+ this.getHand() +') adding OrientationArmModel' )
 			this.armModel = new OrientationArmModel();
 		}
 
+		viewerPose = frame.getViewerPose ? frame.getViewerPose( referenceSpace ) : null;
+		head = this.head;
+
+		if ( viewerPose ) {
+
+			head = THREE.VRController.viewer;
+			head.position.copy( viewerPose.transform.position );
+			head.quaternion.copy( viewerPose.transform.orientation );
+
+		}
+
 
 		//  Now and forever after we can just update this arm model
 		//  with the head (camera) position and orientation
 		//  and use its output to predict where the this is.
+		//  The hand can change under us (Daydream lets you switch it in
+		//  the settings) so we ask on every frame.
 
-		this.armModel.setHeadPosition( this.head.position );
-		this.armModel.setHeadOrientation( this.head.quaternion );
-		this.armModel.setControllerOrientation(
-			// TODO: Cache this Quaternion
-			( new THREE.Quaternion() ).fromArray( pose.orientation ));
+		this.armModel.setLeftHanded( this.getHand() === 'left' );
+		this.armModel.setHeadPosition( head.position );
+		this.armModel.setHeadOrientation( head.quaternion );
+		this.armModel.setControllerOrientation( this.quaternion );
 		this.armModel.update();
 		this.matrix.compose(
 			this.armModel.getPose().position,
@@ -568,18 +632,6 @@ THREE.VRController.prototype.update = function(){
 
 	}
 
-
-	//  Ok, we know where the this ought to be so let’s set that.
-	//  For 6DOF controllers it’s necessary to set controller.standingMatrix
-	//  to reference your VRControls.standingMatrix, otherwise your controllers
-	//  will be on the floor instead of up in your hands!
-	//  NOTE: “VRControls” and “VRController” are similarly named but two
-	//  totally different things! VRControls is what reads your headset’s
-	//  position and orientation, then moves your camera appropriately.
-	//  Whereas this VRController instance is for the VR controllers that
-	//  you hold in your hands.
-
-	this.matrix.multiplyMatrices( this.standingMatrix, this.matrix );
 	this.matrixWorldNeedsUpdate = true;
 
 };
@@ -643,7 +695,7 @@ THREE.VRController.prototype.setVibe = function( name, intensity ){
 			else intensity = 0
 		}
 
-		let cursor = window.performance.now()
+		let cursor = THREE.VRController.now()
 		o.set = function( intensity ){
 
 			channel.push([ cursor, intensity ])
@@ -664,7 +716,7 @@ THREE.VRController.prototype.renderVibes = function(){
 	//  and update the current intensity value.
 
 	const 
-	now = window.performance.now(),
+	now = THREE.VRController.now(),
 	controller = this
 
 	controller.vibeChannels.forEach( function( channel ){
@@ -698,7 +750,7 @@ THREE.VRController.prototype.applyVibes = function(){
 
 		const
 		renderedIntensity = this.renderVibes(),
-		now = window.performance.now()
+		now = THREE.VRController.now()
 
 		if( renderedIntensity !== this.vibeChannels.prior ||
 			now - this.vibeChannels.lastCommanded > THREE.VRController.VIBE_TIME_MAX / 2 ){
@@ -804,6 +856,93 @@ THREE.VRController.onGamepadDisconnect = function( gamepad, i ) {
 };
 
 
+//  WebXR input sources come and go with the session rather than through
+//  navigator.getGamepads(), so they get a list of their own. Sources
+//  without a gamepad (hands, gaze, screen taps) have no buttons to report
+//  and are left alone.
+
+THREE.VRController.xrControllers = [];
+THREE.VRController.session = null;
+THREE.VRController.referenceSpace = null;
+THREE.VRController.viewer = {
+	position:   new THREE.Vector3(),
+	quaternion: new THREE.Quaternion()
+};
+
+THREE.VRController.onInputSourceConnect = function( inputSource ) {
+
+	var scope = THREE.VRController;
+
+	if ( !inputSource.gamepad ) return;
+
+	var controller = new scope( inputSource.gamepad, inputSource );
+	scope.xrControllers.push( controller );
+
+	var hapticActuators = controller.gamepad.hapticActuators;
+	if ( hapticActuators && hapticActuators.length > 0 ) {
+		hapticActuators[ 0 ].pulse( 0.1, 300 );
+	}
+
+	//  Same event as for gamepads, so listeners don’t need to care.
+
+	if( scope.verbosity >= 0.5 ) console.log( 'vr controller connected', controller );
+	controller.visible = false;
+	window.dispatchEvent( new CustomEvent( 'vr controller connected', { detail: controller }));
+};
+
+THREE.VRController.onInputSourceDisconnect = function( inputSource ) {
+
+	var
+		scope = THREE.VRController,
+		controller = scope.xrControllers.find( function( controller ){
+
+			return controller.inputSource === inputSource
+		});
+
+	if ( controller === undefined ) return;
+
+	if ( scope.verbosity >= 0.5 ) console.log( 'vr controller disconnected', controller );
+	controller.dispatchEvent({ type: 'disconnected', controller: controller });
+	scope.xrControllers.splice( scope.xrControllers.indexOf( controller ), 1 );
+};
+
+
+//  Hand over the WebXR session once it started, and the reference space
+//  poses should be in. Its input sources connect right away and whenever
+//  they change, and all of them disconnect when the session ends.
+
+THREE.VRController.setSession = function( session, referenceSpace ) {
+
+	var scope = THREE.VRController;
+
+	if ( scope.session ) {
+
+		scope.xrControllers.slice().forEach( function( controller ){
+
+			scope.onInputSourceDisconnect( controller.inputSource )
+		});
+	}
+
+	scope.session = session || null;
+	scope.referenceSpace = referenceSpace || null;
+
+	if ( !session ) return;
+
+	Array.prototype.forEach.call( session.inputSources, scope.onInputSourceConnect );
+
+	session.addEventListener( 'inputsourceschange', function( event ){
+
+		if ( scope.session !== session ) return;
+		event.removed.forEach( scope.onInputSourceDisconnect );
+		event.added.forEach( scope.onInputSourceConnect );
+	});
+	session.addEventListener( 'end', function(){
+
+		if ( scope.session === session ) scope.setSession( null );
+	});
+};
+
+
 //  This is what makes everything so convenient. We keep track of found
 //  controllers right here. And by adding this one update function into your
 //  animation loop we automagically update all the controller positions,
@@ -811,20 +950,27 @@ THREE.VRController.onGamepadDisconnect = function( gamepad, i ) {
 //  Why not just wrap this in its own requestAnimationFrame loop? Performance!
 //  https://jsperf.com/single-raf-draw-calls-vs-multiple-raf-draw-calls
 //  But also, you will likely be switching between window.requestAnimationFrame
-//  which aims for 60fps and vrDisplay.requestAnimationFrame which aims for 90
+//  which aims for 60fps and session.requestAnimationFrame which aims for 90
 //  when switching between non-VR and VR rendering. This makes it trivial to
-//  make the choices YOU want to.
+//  make the choices YOU want to. Pass the XRFrame when you have one, the
+//  poses of WebXR controllers can only be read from it.
+
+THREE.VRController.update = function( frame ) {
 
-THREE.VRController.update = function() {
+	var gamepads, gamepad, i, referenceSpace = this.referenceSpace;
 
-	var gamepads, gamepad, i;
+	this.xrControllers.forEach( function( controller ){
+
+		controller.update( frame, referenceSpace )
+	});
 
 
 	//  Before we do anything we ought to see if getGamepads even exists.
 	// (Perhaps in addition to actual VR rigs you’re also supporting
 	//  iOS devices via magic window?) If it doesn’t exist let’s bail:
 
-	if ( navigator.getGamepads === undefined ) return;
+	gamepads = THREE.VRController.getGamepads();
+	if ( gamepads === undefined ) return;
 
 
 	//  Yes, we need to scan the gamepads Array with each update loop
@@ -834,13 +980,13 @@ THREE.VRController.update = function() {
 	//  and 'ongamepaddisconnected' events firing multiple times.
 	//  Also... those connection events are not widely supported yet anyhow.
 
-	gamepads = navigator.getGamepads();
 	for ( i = 0; i < gamepads.length; i ++ ) {
 
 		gamepad = gamepads[ i ];
 		if ( gamepad !== null && gamepad !== undefined ) {
 
 			if ( this.controllers[ i ] === undefined ) THREE.VRController.onGamepadConnect( gamepad );
+			this.controllers[ i ].gamepad = gamepad;
 			this.controllers[ i ].update();
 
 		} else if ( gamepad === null && this.controllers[ i ] !== undefined ) {
@@ -848,8 +994,6 @@ THREE.VRController.update = function() {
 
 		//  Note: If you power down a gamepad after startup the gamepad will NOT
 		//  be null and gamepad.connected will still equal true so this will not fire!!
-		//  Instead you’d need to check for gamepad.pose.position === null and
-		//  gamepad.pose.orientation === null yourself.
 
 			THREE.VRController.onGamepadDisconnect( gamepad, i );
 		}
@@ -857,18 +1001,33 @@ THREE.VRController.update = function() {
 
 };
 
+//  The two things we ask the browser for, kept apart so they can be
+//  scripted (see the top of this file).
+
+THREE.VRController.getGamepads = function() {
+
+	return navigator.getGamepads === undefined ? undefined : navigator.getGamepads();
+
+};
+
+THREE.VRController.now = function() {
+
+	return window.performance.now();
+
+};
+
 THREE.VRController.inspect = function(){
 
-	THREE.VRController.controllers.forEach( function( controller ){
+	THREE.VRController.controllers.concat( THREE.VRController.xrControllers ).forEach( function( controller ){
 
-		console.log( '\n'+ controller.inspect() )
+		if ( controller ) console.log( '\n'+ controller.inspect() )
 	})
 }
 
 // reset so new connected events from different scenes can be fired
 THREE.VRController.clear = function() {
 
-	for ( c in this.controllers ) {
+	for ( var c in this.controllers ) {
 		var controller = this.controllers[ c ];
 		if ( controller ) {
 			var gamepad = this.controllers[ c ].gamepad;
@@ -876,6 +1035,21 @@ THREE.VRController.clear = function() {
 		}
 	}
 
+	this.xrControllers.slice().forEach( function( controller ){
+
+		THREE.VRController.onInputSourceDisconnect( controller.inputSource )
+	});
+
+};
+
+
+//  'left' or 'right', or '' when nobody knows, for gamepads and input sources.
+
+THREE.VRController.getHand = function( gamepad, inputSource ) {
+
+	if ( inputSource ) return inputSource.handedness === 'none' ? '' : inputSource.handedness || '';
+	return gamepad.hand;
+
 };
 
 /**
@@ -899,6 +1073,55 @@ THREE.VRController.getSupportedById = function( id ) {
 };
 
 
+/**
+ * Gets the schema for a WebXR input source. Gamepads of input sources with
+ * the 'xr-standard' mapping all have their buttons and axes in the same
+ * slots, so only the style comes from the profile ids, the first one we
+ * know of, most specific first. Others fall back on the profile ids as
+ * gamepad ids.
+ */
+THREE.VRController.getSupportedByProfiles = function( inputSource ) {
+
+	var
+		scope = THREE.VRController,
+		profiles = inputSource.profiles || [],
+		style, supported, i;
+
+	for ( i = 0; i < profiles.length && style === undefined; i++ ) {
+		style = scope.profileStyles[ profiles[ i ] ];
+	}
+
+	if ( inputSource.gamepad.mapping !== 'xr-standard' ) {
+
+		for ( i = 0; i < profiles.length && supported === undefined; i++ ) {
+			supported = scope.getSupportedById( profiles[ i ] );
+		}
+		return supported;
+
+	}
+
+	supported = Object.assign( {}, scope.supported[ 'xr-standard' ] );
+
+	//  Same styles as the WebVR ids had, X and Y on the left Touch.
+
+	if ( style === 'oculus-touch' ) {
+
+		style += inputSource.handedness === 'left' ? '-left' : '-right';
+		if ( style === 'oculus-touch-left' ) {
+			supported.buttons = supported.buttons.map( function( name ){
+
+				return { A: 'X', B: 'Y' }[ name ] || name
+			});
+		}
+
+	}
+	if ( style !== undefined ) supported.style = style;
+
+	return supported;
+
+};
+
+
 
     /////////////////
    //             //
@@ -1233,6 +1456,34 @@ THREE.VRController.supported = {
 
 	},
 
+	//  WebXR’s standard layout, every input source with a gamepad whose
+	//  mapping is 'xr-standard' has it. Slots the device lacks are simply
+	//  missing from its gamepad.
+
+	'xr-standard': {
+
+		style: 'xr-standard',
+
+
+		//  THUMBPAD and THUMBSTICK
+		//  Both with the "Regular" Y-axis, WebXR normalized Vive’s.
+
+		axes: [
+			{ name: 'thumbpad',   indexes: [ 0, 1 ]},
+			{ name: 'thumbstick', indexes: [ 2, 3 ]}
+		],
+		buttons: [
+			'trigger',
+			'grip',
+			'thumbpad',
+			'thumbstick',
+			'A',
+			'B',
+			'thumbrest'
+		],
+		primary: 'trigger'
+	},
+
 	'xbox': {
 
 		style: 'xbox',
@@ -1263,6 +1514,15 @@ THREE.VRController.supported = {
 
 };
 
+//  https://w3c.github.io/gamepad/#remapping
+//  The same slots as the Xbox pad, plus the home (guide, PS) button.
+
+THREE.VRController.supported.standard = Object.assign( {}, THREE.VRController.supported.xbox, {
+
+	style: 'standard',
+	buttons: THREE.VRController.supported.xbox.buttons.concat([ 'home' ])
+});
+
 THREE.VRController.addSupportedControllers = function() {
 
 	var xids = [
@@ -1284,6 +1544,23 @@ THREE.VRController.addSupportedControllers();
 THREE.VRController.supportedKeys = Object.keys( THREE.VRController.supported );
 
 
+//  WebXR profile ids (https://github.com/immersive-web/webxr-input-profiles)
+//  and the styles the same devices had under WebVR.
+
+THREE.VRController.profileStyles = {
+
+	'oculus-touch':            'oculus-touch',
+	'oculus-touch-v2':         'oculus-touch',
+	'oculus-touch-v3':         'oculus-touch',
+	'meta-quest-touch-plus':   'oculus-touch',
+	'oculus-go':               'gearvr-controller',
+	'samsung-gearvr':          'gearvr-controller',
+	'google-daydream':         'daydream',
+	'htc-vive':                'vive',
+	'microsoft-mixed-reality': 'microsoft'
+};
+
+
 
 
 
@@ -1301,6 +1578,10 @@ THREE.VRController.supportedKeys = Object.keys( THREE.VRController.supported );
 //  Represents the arm model for the Daydream controller.
 //  Feed it a camera and the controller. Update it on a RAF.
 //  Get the model's pose using getPose().
+//  The offsets below are for a right arm. A left arm is its mirror
+//  image, so for setLeftHanded( true ) we flip their X. They are added
+//  before the root rotation (the head’s yaw) is applied, so the flip
+//  mirrors across the head’s own left and right whichever way it faces.
 
 function OrientationArmModel() {
 
@@ -1382,9 +1663,9 @@ OrientationArmModel.prototype.setHeadPosition = function( position ) {
 	this.headPos.copy( position );
 
 };
-OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded ) {//  TODO(smus): Implement me!
+OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded ) {
 
-	this.isLeftHanded = isLeftHanded;
+	this.isLeftHanded = !!isLeftHanded;
 
 };
 
@@ -1394,7 +1675,7 @@ OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded ) {//  TODO
  */
 OrientationArmModel.prototype.update = function() {
 
-	this.time = performance.now();
+	this.time = THREE.VRController.now();
 
 
 	//  If the controller’s angular velocity is above a certain amount,
@@ -1427,8 +1708,8 @@ OrientationArmModel.prototype.update = function() {
 
 	// Calculate elbow position.
 	var elbowPos = this.elbowPos;
-	elbowPos.copy( this.headPos ).add( OrientationArmModel.HEAD_ELBOW_OFFSET );
-	var elbowOffset = new THREE.Vector3().copy( OrientationArmModel.ARM_EXTENSION_OFFSET );
+	elbowPos.copy( this.headPos ).add( this.mirror_( OrientationArmModel.HEAD_ELBOW_OFFSET ) );
+	var elbowOffset = this.mirror_( OrientationArmModel.ARM_EXTENSION_OFFSET );
 	elbowOffset.multiplyScalar( extensionRatio );
 	elbowPos.add( elbowOffset );
 
@@ -1465,7 +1746,7 @@ OrientationArmModel.prototype.update = function() {
 	wristPos.applyQuaternion( elbowQ );
 	wristPos.add( this.elbowPos );
 
-	var offset = new THREE.Vector3().copy( OrientationArmModel.ARM_EXTENSION_OFFSET );
+	var offset = this.mirror_( OrientationArmModel.ARM_EXTENSION_OFFSET );
 	offset.multiplyScalar( extensionRatio );
 
 	var position = new THREE.Vector3().copy( this.wristPos );
@@ -1531,6 +1812,14 @@ OrientationArmModel.prototype.getHeadYawOrientation_ = function() {
 
 //  General tools...
 
+OrientationArmModel.prototype.mirror_ = function( offset ) {
+
+	var out = offset.clone();
+	if ( this.isLeftHanded ) out.x *= -1;
+	return out;
+
+};
+
 OrientationArmModel.prototype.clamp_ = function( value, min, max ) {
 
 	return Math.min( Math.max( value, min ), max );
@@ -0,0 +1,115 @@
+/*
+Game and VR controllers for the deck, through THREE.VRController
+(resources/VRController.js). Which buttons do what is set like options.keys,
+by the names VRController gives them, and a button fires its action when its
+press begins:
+
+$.deck('.slide', {
+  buttons: {
+    next: ['a', 'primary'],
+    demoForward: ['y']
+  }
+});
+
+Pads with the W3C "standard" mapping all have the Xbox names: a, b, x, y,
+bumper-left/right, trigger-left/right, select, start, thumbstick-left/right,
+d-up/down/left/right and home. Thumbsticks also press in a direction, e.g.
+'thumbstick-left right', and thumbpads do when clicked on that side, e.g.
+'thumbpad left'. WebXR controllers have trigger, grip, thumbpad, thumbstick
+and A, B (X, Y on a left Oculus Touch), and every controller has 'primary',
+its trigger or main button. Where that is the thumbpad itself (Daydream,
+Gear VR) 'primary' isn't bound, as a click on either side of the pad already
+presses left or right.
+
+The menu, goto and scale actions need the deck.menu, deck.goto and deck.scale
+extensions. The demo actions move the demo on the current slide a step
+forward or back ($.deck('goDemo')).
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var polling = false;
+
+  var has = function(key) {
+    return $.deck('getOptions').keys[key] !== undefined;
+  };
+
+  var stepDemo = function(by) {
+    var demo = $.deck('getDemo');
+    if (!demo || !demo.ready) return;
+    var step = Math.max(1, Math.min(demo.steps, (demo.pending !== null ? demo.pending : demo.step) + by));
+    $.deck('goDemo', step);
+  };
+
+  // Deck methods behind the names in options.buttons
+  var actions = {
+    next: function() { $.deck('next'); },
+    previous: function() { $.deck('prev'); },
+    menu: function() { if (has('menu')) $.deck('toggleMenu'); },
+    goto: function() { if (has('goto')) $.deck('showGoTo'); },
+    scale: function() { if (has('scale')) $.deck('toggleScale'); },
+    demoForward: function() { stepDemo(1); },
+    demoBack: function() { stepDemo(-1); }
+  };
+
+  var bind = function(controller) {
+    var buttons = $.deck('getOptions').buttons;
+    var primary = controller.getButton('primary');
+    var padIsPrimary = !!primary && /^(thumbpad|touchpad)$/.test(primary.name);
+
+    $.each(actions, function(action, method) {
+      $.each($.makeArray(buttons[action]), function(i, name) {
+        if (name === 'primary' && padIsPrimary) return;
+        controller.addEventListener(name + ' press began', method);
+      });
+    });
+  };
+
+  var connected = function(event) {
+    bind(event.detail);
+  };
+
+  var loop = function() {
+    requestAnimationFrame(loop);
+    THREE.VRController.update();
+  };
+
+  $document.bind('deck.init', function() {
+    if (!window.THREE || !THREE.VRController || polling) return;
+
+    window.addEventListener('vr controller connected', connected);
+    polling = true;
+    loop();
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.buttons.next
+  options.buttons.previous
+    Controller buttons that move to the next and previous slide.
+
+  options.buttons.menu
+  options.buttons.goto
+  options.buttons.scale
+    Controller buttons that toggle the menu, show the go to slide form and
+    toggle scaling.
+
+  options.buttons.demoForward
+  options.buttons.demoBack
+    Controller buttons that move the demo on the current slide a step
+    forward and back.
+  */
+  $.extend(true, $.deck.defaults, {
+    buttons: {
+      next: ['bumper-right', 'trigger-right', 'd-right', 'thumbstick-left right',
+        'thumbstick-right right', 'thumbpad right', 'thumbstick right', 'primary'],
+      previous: ['bumper-left', 'trigger-left', 'd-left', 'thumbstick-left left',
+        'thumbstick-right left', 'thumbpad left', 'thumbstick left', 'b'],
+      menu: ['select', 'grip'],
+      goto: ['start'],
+      scale: ['thumbstick-right'],
+      demoForward: ['d-up', 'y', 'thumbstick up'],
+      demoBack: ['d-down', 'x', 'thumbstick down']
+    }
+  });
+})(jQuery);
@@ -0,0 +1,181 @@
+/*
+Handout export. Opening a deck with ?export (e.g. offline.html?export) turns
+on export mode: the deck chrome is hidden, local demos are loaded with ?export
+so their canvas can be read back (see iframes/three/Director.js), and
+
+  $.deck('exportSlide', index)
+
+goes to a slide or nested slide, waits for its demos to reach their director
+step and settle, and covers every demo with a snapshot of its WebGL canvas.
+The returned promise resolves once the slide is ready to be captured.
+tools/export-deck.js drives this from a headless browser to write a PDF or
+numbered PNGs.
+
+Requires resources/slides.js for the director state of the demos.
+*/
+(function($, undefined) {
+  var exporting = /[?&]export\b/.test(location.search);
+  var external = /^(https?:)?\/\//i;
+
+  var wait = function(test, timeout) {
+    var deferred = $.Deferred();
+    var start = Date.now();
+    var poll = function() {
+      if (test()) {
+        deferred.resolve();
+      }
+      else if (Date.now() - start > timeout) {
+        deferred.reject();
+      }
+      else {
+        setTimeout(poll, 100);
+      }
+    };
+    poll();
+    return deferred.promise();
+  };
+
+  var loaded = function(iframe) {
+    var src = iframe.getAttribute('src');
+    if (!src || src === 'about:blank') return false;
+    if (external.test(src)) return true;
+    try {
+      return iframe.contentDocument.readyState === 'complete' &&
+        iframe.contentWindow.location.href !== 'about:blank';
+    }
+    catch (e) {
+      return true;
+    }
+  };
+
+  // Local demos that load Director.js answer the director protocol
+  var speaksDirector = function(iframe) {
+    try {
+      return !!iframe.contentWindow.DIRECTOR;
+    }
+    catch (e) {
+      return false;
+    }
+  };
+
+  var settled = function(iframe) {
+    var state = $(iframe).data('director');
+    return !speaksDirector(iframe) || (state && state.ready && state.pending === null);
+  };
+
+  var snapshot = function(iframe) {
+    var deferred = $.Deferred();
+    var timer;
+
+    var receive = function(event) {
+      var data = event.data && event.data.director;
+      if (!data || data.type !== 'snapshot' || event.source !== iframe.contentWindow) return;
+      window.removeEventListener('message', receive);
+      clearTimeout(timer);
+      deferred.resolve(data.image);
+    };
+
+    window.addEventListener('message', receive);
+    timer = setTimeout(function() {
+      window.removeEventListener('message', receive);
+      deferred.resolve(null);
+    }, 2000);
+
+    iframe.contentWindow.postMessage({ director: { method: 'snapshot' }}, '*');
+    return deferred.promise();
+  };
+
+  var cover = function(iframe, image) {
+    if (!image) return;
+    $('<img class="deck-export-snapshot" alt="">')
+      .attr('src', image)
+      .css({
+        left: iframe.offsetLeft,
+        top: iframe.offsetTop,
+        width: iframe.offsetWidth,
+        height: iframe.offsetHeight
+      })
+      .insertAfter(iframe);
+    $(iframe).css('visibility', 'hidden');
+  };
+
+  var uncover = function() {
+    $('.deck-export-snapshot').remove();
+    $('iframe').css('visibility', '');
+  };
+
+  /*
+  jQuery.deck('exportSlide', index)
+
+  Goes to the slide at index and resolves once its demos have reached their
+  step and been replaced by snapshots. Demos that don't answer in time are
+  captured as they are.
+  */
+  $.deck('extend', 'exportSlide', function(index) {
+    var options = $.deck('getOptions').export;
+    var deferred = $.Deferred();
+
+    uncover();
+    $.deck('go', index);
+
+    var $slide = $.deck('getSlide', index);
+    var $parents = $slide.parents($.deck('getOptions').selectors.slides);
+    var frames = ($parents.length ? $parents.last() : $slide).find('iframe').get();
+
+    var ready = function() {
+      return frames.every(function(iframe) {
+        return loaded(iframe) && settled(iframe);
+      });
+    };
+
+    wait(ready, options.timeout)
+      .fail(function() {
+        if (window.console) console.warn('Export: demos on slide ' + index + ' did not settle');
+      })
+      .always(function() {
+        setTimeout(function() {
+          var shots = frames.filter(speaksDirector).map(function(iframe) {
+            return snapshot(iframe).done(function(image) {
+              cover(iframe, image);
+            });
+          });
+          $.when.apply($, shots).always(function() {
+            deferred.resolve(index);
+          });
+        }, options.settle);
+      });
+
+    return deferred.promise();
+  });
+
+  if (exporting) {
+    $('html').addClass('deck-export');
+
+    // Runs before slides.js unloads the iframes and keeps their addresses
+    $(function() {
+      $('iframe').each(function() {
+        var src = $(this).attr('src');
+        if (src && !external.test(src)) {
+          $(this).attr('src', src + (src.indexOf('?') > -1 ? '&' : '?') + 'export');
+        }
+      });
+    });
+  }
+
+  /*
+  Extends defaults/options.
+
+  options.export.settle
+    Milliseconds to wait after the demos reached their step, so tweens and
+    slide transitions finish before the capture.
+
+  options.export.timeout
+    Milliseconds to wait for the demos of a slide to load and reach their step.
+  */
+  $.extend(true, $.deck.defaults, {
+    export: {
+      settle: 1200,
+      timeout: 20000
+    }
+  });
+})(jQuery);
@@ -0,0 +1,219 @@
+/*
+Unattended mode for booth screens. Opened with ?kiosk, or after pressing "k",
+the deck moves on by itself: through the nested slides, the steps of the
+demos and the slides, back to the start after the last one. Timers are
+declared on the slides in seconds, a slide without one uses the duration of
+the slide it is nested in or options.kiosk.duration:
+
+<section class="slide" data-duration="12" data-step-duration="4">
+  <iframe src="iframes/camera.html" frameborder="0"></iframe>
+</section>
+
+data-duration is how long a slide stays before the deck moves on,
+data-step-duration how long each demo step taken on it stays (default its
+data-duration).
+
+Slides marked presenter-only, e.g. external sites that need someone to talk
+over them or a network, are skipped. Other elements marked presenter-only,
+like the link to the presentation video, are hidden while the kiosk runs:
+
+<section class="slide presenter-only">
+  <iframe src="https://davidlyons.dev/pyramid" frameborder="0"></iframe>
+</section>
+
+A key, click, touch or scroll on the deck, or orbiting or stepping a demo,
+pauses the kiosk until nobody has touched anything for options.kiosk.idle
+seconds. When windows are mirrored (resources/sync.js) only the leader moves.
+
+Requires resources/slides.js for the demo steps ($.deck('getDemo')).
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var running = false;
+  var paused = false;
+  var timer = null;
+  var idleTimer = null;
+
+  var currentIndex = function() {
+    return $.inArray($.deck('getSlide')[0], $.map($.deck('getSlides'), function($s) {
+      return $s[0];
+    }));
+  };
+
+  var skipped = function(index) {
+    return $.deck('getSlide', index).closest('.presenter-only').length > 0;
+  };
+
+  // First slide from index on that isn't skipped, -1 if there is none
+  var playable = function(index) {
+    var total = $.deck('getSlides').length;
+    for (; index < total; index++) {
+      if (!skipped(index)) return index;
+    }
+    return -1;
+  };
+
+  var seconds = function(index, attribute) {
+    var value = parseFloat($.deck('getSlide', index).closest('[' + attribute + ']').attr(attribute));
+    return isNaN(value) ? null : value;
+  };
+
+  var duration = function(index) {
+    var value = seconds(index, 'data-duration');
+    return value === null ? $.deck('getOptions').kiosk.duration : value;
+  };
+
+  var stepDuration = function(index) {
+    var value = seconds(index, 'data-step-duration');
+    return value === null ? duration(index) : value;
+  };
+
+  var leading = function() {
+    return !$.deck('getOptions').sync || $.deck('syncLeading');
+  };
+
+  var schedule = function(delay) {
+    clearTimeout(timer);
+    if (running && !paused) timer = setTimeout(advance, delay * 1000);
+  };
+
+  var advance = function() {
+    var index = currentIndex();
+    var demo = $.deck('getDemo');
+    var target = playable(index + 1);
+
+    // followers check back in case they end up leading
+    if (!leading()) return schedule(duration(index));
+
+    if (target === index + 1) {
+      // next also takes the steps a demo has beyond its nested slides
+      $.deck('next');
+    }
+    else if (demo && demo.ready && demo.step < demo.steps) {
+      $.deck('goDemo', demo.step + 1);
+    }
+    else {
+      // past the end, or only skipped slides left
+      $.deck('go', target > -1 ? target : Math.max(playable(0), 0));
+    }
+
+    // a demo step, deck.change schedules the next slide itself
+    if (currentIndex() === index) schedule(stepDuration(index));
+  };
+
+  var start = function() {
+    running = true;
+    paused = false;
+    $('html').addClass('deck-kiosk').removeClass('deck-kiosk-paused');
+
+    var index = currentIndex();
+    if (skipped(index) && playable(index) > -1) {
+      $.deck('go', playable(index));
+    }
+    else {
+      schedule(duration(index));
+    }
+  };
+
+  var stop = function() {
+    running = false;
+    clearTimeout(timer);
+    clearTimeout(idleTimer);
+    $('html').removeClass('deck-kiosk deck-kiosk-paused');
+  };
+
+  // Someone is there, wait for them to leave
+  var interact = function() {
+    if (!running) return;
+
+    paused = true;
+    clearTimeout(timer);
+    clearTimeout(idleTimer);
+    $('html').addClass('deck-kiosk-paused');
+
+    idleTimer = setTimeout(function() {
+      paused = false;
+      $('html').removeClass('deck-kiosk-paused');
+      schedule(duration(currentIndex()));
+    }, $.deck('getOptions').kiosk.idle * 1000);
+  };
+
+  /*
+  jQuery.deck('kiosk', [on])
+
+  Starts or stops the kiosk, or toggles it without on. Returns whether it
+  runs.
+  */
+  $.deck('extend', 'kiosk', function(on) {
+    if (on === undefined) on = !running;
+    if (on && !running) start();
+    if (!on && running) stop();
+    return running;
+  });
+
+  $document.bind('deck.init', function() {
+    var options = $.deck('getOptions');
+
+    $document.unbind('keydown.deckkiosk');
+    $document.bind('keydown.deckkiosk', function(event) {
+      var key = options.keys.kiosk;
+      if (/^(input|select|textarea)$/i.test(event.target.nodeName)) return interact();
+      if (event.which === key || $.inArray(event.which, key) > -1) {
+        event.preventDefault();
+        $.deck('kiosk');
+      }
+      else {
+        interact();
+      }
+    });
+
+    $document.unbind('.deckkioskinput');
+    $document.bind('mousedown.deckkioskinput touchstart.deckkioskinput wheel.deckkioskinput', interact);
+
+    // after slides.js is done setting up
+    if (options.kiosk.enabled || /[?&]kiosk\b/.test(location.search)) {
+      setTimeout(function() {
+        $.deck('kiosk', true);
+      }, 0);
+    }
+  });
+
+  $document.bind('deck.change', function(event, from, to) {
+    schedule(duration(to));
+  });
+
+  // Input inside the current demo, not views the deck put back itself
+  $document.bind('director.step director.view', function(event, state) {
+    if (event.namespace === 'view' && !state.orbited) return;
+
+    var $slide = $.deck('getSlide');
+    var $top = $slide.parents($.deck('getOptions').selectors.slides).last();
+    if (($top.length ? $top : $slide).find(event.target).length) interact();
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.keys.kiosk
+    The numeric keycode used to start and stop the kiosk.
+
+  options.kiosk.enabled
+    Start the kiosk when the deck loads, also done by ?kiosk in the address.
+
+  options.kiosk.duration
+    Seconds a slide without data-duration stays.
+
+  options.kiosk.idle
+    Seconds without input before a paused kiosk carries on.
+  */
+  $.extend(true, $.deck.defaults, {
+    keys: {
+      kiosk: 75 // k
+    },
+    kiosk: {
+      enabled: false,
+      duration: 8,
+      idle: 30
+    }
+  });
+})(jQuery);
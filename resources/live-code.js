@@ -0,0 +1,149 @@
+/*
+Live code slides. The code block of a .live-code slide becomes an editor and
+every change re-runs it in the slide's iframes/live-code.html frame, which
+loads three.js. Errors are shown on the slide with the line they came from.
+
+<section class="slide live-code">
+  <iframe src="iframes/live-code.html" frameborder="0"></iframe>
+  <pre><code>var scene = new THREE.Scene();
+...</code></pre>
+</section>
+
+Escape leaves the editor so the arrow keys move through the deck again, and
+"r" outside the editor restores the code the slide started with.
+*/
+(function($, undefined) {
+  var $document = $(document);
+
+  var getTopSlide = function(index) {
+    var $slide = $.deck('getSlide', index);
+    var $parents = $slide.parents($.deck('getOptions').selectors.slides);
+    return $parents.length ? $parents.last() : $slide;
+  };
+
+  var highlight = function(live) {
+    live.$code.text(live.$editor.val() + '\n');
+    if (window.Prism) Prism.highlightElement(live.$code[0]);
+  };
+
+  var run = function(live) {
+    var iframe = live.$slide.find('iframe')[0];
+    if (!iframe || !iframe.contentWindow) return;
+    iframe.contentWindow.postMessage({ liveCode: { type: 'run', code: live.$editor.val() }}, '*');
+  };
+
+  var change = function(live) {
+    highlight(live);
+    clearTimeout(live.timer);
+    live.timer = setTimeout(function() {
+      run(live);
+    }, $.deck('getOptions').liveCode.delay);
+  };
+
+  var reset = function(live) {
+    live.$editor.val(live.original);
+    live.$error.text('').removeClass('live-code-failed');
+    highlight(live);
+    run(live);
+  };
+
+  var setup = function(slide) {
+    var $slide = $(slide);
+    var $pre = $slide.children('pre').first();
+    var $code = $pre.children('code').first();
+    if (!$code.length || $slide.data('liveCode')) return;
+
+    var live = {
+      $slide: $slide,
+      $code: $code,
+      original: $code.text().replace(/\n$/, ''),
+      $editor: $('<textarea class="live-code-editor" spellcheck="false" autocapitalize="off">'),
+      $error: $('<div class="live-code-error" aria-live="polite">'),
+      timer: null
+    };
+
+    $pre.addClass('live-code-highlight');
+    live.$editor.val(live.original).insertAfter($pre);
+    live.$error.insertAfter(live.$editor);
+
+    live.$editor.bind('input', function() {
+      change(live);
+    });
+
+    live.$editor.bind('scroll', function() {
+      $pre.scrollTop(this.scrollTop).scrollLeft(this.scrollLeft);
+    });
+
+    live.$editor.bind('keydown', function(event) {
+      if (event.which === 27) { // escape
+        this.blur();
+      }
+      else if (event.which === 9) { // tab
+        event.preventDefault();
+        var start = this.selectionStart;
+        this.value = this.value.slice(0, start) + '  ' + this.value.slice(this.selectionEnd);
+        this.selectionStart = this.selectionEnd = start + 2;
+        change(live);
+      }
+    });
+
+    $slide.data('liveCode', live);
+  };
+
+  $document.bind('deck.init', function() {
+    $('.live-code').each(function() {
+      setup(this);
+    });
+
+    $document.unbind('keydown.decklivecode');
+    $document.bind('keydown.decklivecode', function(event) {
+      var key = $.deck('getOptions').keys.liveCodeReset;
+      var live = getTopSlide().data('liveCode');
+      if (live && (event.which === key || $.inArray(event.which, key) > -1)) {
+        event.preventDefault();
+        reset(live);
+      }
+    });
+  });
+
+  // Runner frames ask for their code whenever slides.js loads them
+  window.addEventListener('message', function(event) {
+    var data = event.data && event.data.liveCode;
+    if (!data) return;
+
+    $('.live-code iframe').each(function() {
+      if (this.contentWindow !== event.source) return;
+      var live = $(this).closest('.live-code').data('liveCode');
+      if (!live) return;
+
+      if (data.type === 'ready') {
+        run(live);
+      }
+      else if (data.type === 'error') {
+        var where = data.line > 0 ? 'Line ' + data.line + ': ' : '';
+        live.$error.text(where + data.message).addClass('live-code-failed');
+      }
+      else if (data.type === 'ran') {
+        live.$error.text('').removeClass('live-code-failed');
+      }
+    });
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.keys.liveCodeReset
+    The numeric keycode that restores the original code of a live code slide.
+
+  options.liveCode.delay
+    Milliseconds after the last keystroke before the code runs again.
+  */
+  $.extend(true, $.deck.defaults, {
+    keys: {
+      liveCodeReset: 82 // r
+    },
+    liveCode: {
+      delay: 500
+    }
+  });
+})(jQuery);
@@ -0,0 +1,221 @@
+/*
+Presenter view for the deck. Pressing "p" opens a second window
+(presenter.html) with the current slide, a preview of the next slide, the
+speaker notes, an elapsed / remaining timer and the step of the current iframe
+demo. Notes are authored inline in the slide markup and hidden from the
+audience:
+
+<section class="slide">
+  <h2>WebGL</h2>
+  <aside class="notes">Mention browser support before the demos.</aside>
+  <div class="slide">
+    <aside class="notes">Notes for this nested slide only.</aside>
+  </div>
+</section>
+
+The two windows talk over postMessage with { presenter: ... } messages. The
+audience window sends its state on every deck.change and director step, and
+the presenter window can navigate with the same methods as $.deck().
+
+Requires resources/slides.js for the demo step ($.deck('getDemo')).
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var presenter = null;
+
+  // Methods the presenter window is allowed to call on the deck
+  var remoteMethods = ['next', 'prev', 'go', 'goDemo'];
+
+  var stateClass = function(i, current) {
+    var classes = $.deck('getOptions').classes;
+    if (i === current) return classes.current;
+    if (i === current - 1) return classes.previous;
+    if (i === current + 1) return classes.next;
+    return i < current ? classes.before : classes.after;
+  };
+
+  var getTopSlide = function(index) {
+    var $slide = $.deck('getSlide', index);
+    var $parents = $slide.parents($.deck('getOptions').selectors.slides);
+    return $parents.length ? $parents.last() : $slide;
+  };
+
+  /*
+  Markup of the slide at index as the audience would see it: the top level
+  slide is cloned and its nested slides get the state classes deck.core would
+  give them. Iframes and videos are swapped for labelled placeholders so the
+  previews don't load demos a second time.
+  */
+  var snapshot = function(index) {
+    var options = $.deck('getOptions');
+    var slides = $.deck('getSlides');
+    var $top = getTopSlide(index);
+    var topIndex = $.inArray($top[0], $.map(slides, function($s) { return $s[0]; }));
+    var $clone = $top.clone();
+    var $originals = $top.add($top.find(options.selectors.slides));
+    var $copies = $clone.add($clone.find(options.selectors.slides));
+    var allClasses = [
+      options.classes.before,
+      options.classes.previous,
+      options.classes.current,
+      options.classes.next,
+      options.classes.after,
+      options.classes.childCurrent
+    ].join(' ');
+
+    $copies.each(function(k) {
+      $(this).removeClass(allClasses).addClass(stateClass(topIndex + k, index));
+    });
+    if (index !== topIndex) {
+      $originals.eq(index - topIndex).parentsUntil(options.selectors.container)
+        .each(function() {
+          $copies.eq($originals.index(this)).addClass(options.classes.childCurrent);
+        });
+    }
+
+    $clone.find('aside.notes').remove();
+    // Unloaded iframes keep their address in data('src'), see slides.js
+    var $media = $top.find('iframe, video');
+    $clone.find('iframe, video').each(function(i) {
+      var $original = $media.eq(i);
+      var label = $original.data('src') || $original.attr('src') || '';
+      $(this).replaceWith($('<div class="presenter-placeholder">').text(label));
+    });
+
+    return $clone.prop('outerHTML');
+  };
+
+  // Notes of the slide itself, falling back to the notes of its top level slide
+  var notes = function(index) {
+    var options = $.deck('getOptions');
+    var $slide = $.deck('getSlide', index);
+    var $own = $slide.find('aside.notes').filter(function() {
+      return $(this).closest(options.selectors.slides)[0] === $slide[0];
+    });
+    if (!$own.length) {
+      var $top = getTopSlide(index);
+      $own = $top.find('aside.notes').filter(function() {
+        return $(this).closest(options.selectors.slides)[0] === $top[0];
+      });
+    }
+    return $own.map(function() { return $(this).html(); }).get().join('');
+  };
+
+  var currentIndex = function() {
+    return $.inArray($.deck('getSlide')[0], $.map($.deck('getSlides'), function($s) {
+      return $s[0];
+    }));
+  };
+
+  var send = function(index) {
+    if (!presenter || presenter.closed) return;
+
+    index = index == null ? currentIndex() : index;
+
+    var options = $.deck('getOptions');
+    var total = $.deck('getSlides').length;
+    var demo = $.deck('getDemo', index);
+
+    presenter.postMessage({ presenter: {
+      type: 'state',
+      index: index,
+      total: total,
+      id: $.deck('getSlide', index).attr('id'),
+      nextId: index + 1 < total ? $.deck('getSlide', index + 1).attr('id') : null,
+      current: snapshot(index),
+      next: index + 1 < total ? snapshot(index + 1) : null,
+      notes: notes(index),
+      demo: demo && demo.ready ? { step: demo.step, steps: demo.steps } : null,
+      duration: options.presenter.duration
+    }}, '*');
+  };
+
+  /*
+  jQuery.deck('openPresenter')
+
+  Opens the presenter window, or focuses it if it is already open.
+  */
+  $.deck('extend', 'openPresenter', function() {
+    var options = $.deck('getOptions').presenter;
+    if (presenter && !presenter.closed) {
+      presenter.focus();
+      return;
+    }
+    presenter = window.open(options.url, options.name, options.features);
+  });
+
+  /*
+  jQuery.deck('getNotes', [index])
+
+  Returns the speaker notes of the slide at index, or the current slide, as
+  HTML. Slides without notes of their own get those of their top level slide.
+  */
+  $.deck('extend', 'getNotes', function(index) {
+    return notes(index == null ? currentIndex() : index);
+  });
+
+  $document.bind('deck.init', function() {
+    $document.unbind('keydown.deckpresenter');
+    $document.bind('keydown.deckpresenter', function(event) {
+      var key = $.deck('getOptions').keys.presenter;
+      if (event.which === key || $.inArray(event.which, key) > -1) {
+        event.preventDefault();
+        $.deck('openPresenter');
+      }
+    });
+  });
+
+  $document.bind('deck.change', function(event, from, to) {
+    send(to);
+  });
+
+  // Demo steps taken inside the current slide's iframe
+  $document.bind('director.ready director.ack director.step', function(event) {
+    var $slide = getTopSlide();
+    if ($slide.find(event.target).length) {
+      send();
+    }
+  });
+
+  window.addEventListener('message', function(event) {
+    var data = event.data && event.data.presenter;
+    if (!data || !presenter || event.source !== presenter) return;
+
+    if (data.type === 'hello') {
+      send();
+    }
+    else if (data.type === 'call' && $.inArray(data.method, remoteMethods) > -1) {
+      $.deck.apply($, [data.method].concat(data.args || []));
+    }
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.keys.presenter
+    The numeric keycode used to open the presenter window.
+
+  options.presenter.url
+    Page opened as the presenter window.
+
+  options.presenter.name
+    Window name, so pressing the key again reuses the same window.
+
+  options.presenter.features
+    Feature string passed to window.open.
+
+  options.presenter.duration
+    Length of the talk in minutes, used for the remaining time display.
+  */
+  $.extend(true, $.deck.defaults, {
+    keys: {
+      presenter: 80 // p
+    },
+    presenter: {
+      url: 'presenter.html',
+      name: 'deck-presenter',
+      features: 'width=1280,height=800',
+      duration: 40
+    }
+  });
+})(jQuery);
@@ -0,0 +1,203 @@
+/*
+Records a talk as a track of what happened on the deck, and replays the track
+next to the video of the talk, so the recording can be watched with the live
+slides and demos, which can still be orbited and stepped between the
+recorded changes.
+
+Pressing "c" starts recording and pressing it again stops and downloads the
+track as deck-track.json. Every change of slide, demo step and view the user
+orbited the current demo to is logged with the milliseconds since the
+recording started, as a link from $.deck('getLink'):
+
+  {
+    "deck": "index.html",
+    "started": "2014-11-18T19:02:11.000Z",
+    "events": [
+      { "t": 0, "type": "change", "link": "#slide-0" },
+      { "t": 81234, "type": "step", "link": "#slide-12&step=3" },
+      { "t": 90410, "type": "view", "link": "#slide-12&step=3&view=0,75,250,0,0,0" }
+    ]
+  }
+
+A deck opened with ?replay=<track>&video=<video> shows the video in a
+corner, and wherever it plays or is seeked to the deck follows the last event
+before that time. A track recorded after the video started gets "offset", the
+seconds into the video the recording started at.
+
+Requires resources/slides.js for the links.
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var track = null;
+  var recording = false;
+  var started = 0;
+  var replay = null;
+
+  var deckFile = function() {
+    return location.pathname.split('/').pop() || 'index.html';
+  };
+
+  var log = function(type) {
+    if (!recording) return;
+
+    var link = $.deck('getLink');
+    var events = track.events;
+    if (events.length && events[events.length - 1].link === link) return;
+
+    events.push({ t: Date.now() - started, type: type, link: link });
+  };
+
+  var download = function(data) {
+    var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    var url = URL.createObjectURL(blob);
+    $('<a>').attr({ href: url, download: $.deck('getOptions').recorder.file })
+      .appendTo('body')[0].click();
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+      $('a[href="' + url + '"]').remove();
+    }, 0);
+  };
+
+  // Last event at or before ms into the track
+  var eventAt = function(data, ms) {
+    var found = null;
+    $.each(data.events, function(i, event) {
+      if (event.t > ms) return false;
+      found = event;
+    });
+    return found;
+  };
+
+  var follow = function() {
+    var ms = (replay.video.currentTime - (replay.track.offset || 0)) * 1000;
+    var event = eventAt(replay.track, ms);
+
+    // only changes, so the deck can be explored until the next event
+    if (!event || event === replay.event) return;
+    replay.event = event;
+    $.deck('goLink', event.link);
+  };
+
+  /*
+  jQuery.deck('record', [on])
+
+  Starts or stops recording, or toggles it without on. Stopped by the toggle
+  the track is downloaded, otherwise it is left to getTrack. Returns whether
+  it records.
+  */
+  $.deck('extend', 'record', function(on) {
+    var toggled = on === undefined;
+    if (toggled) on = !recording;
+
+    if (on && !recording) {
+      recording = true;
+      started = Date.now();
+      track = { deck: deckFile(), started: new Date(started).toISOString(), events: [] };
+      $('html').addClass('deck-recording');
+      log('change');
+    }
+    else if (!on && recording) {
+      recording = false;
+      $('html').removeClass('deck-recording');
+      if (toggled) download(track);
+    }
+
+    return recording;
+  });
+
+  /*
+  jQuery.deck('getTrack')
+
+  Returns the track being recorded or recorded last, or null.
+  */
+  $.deck('extend', 'getTrack', function() {
+    return track;
+  });
+
+  /*
+  jQuery.deck('replay', track, video)
+
+  Plays track, a track object or the address of one, with the video at the
+  address video and drives the deck from it. Returns a promise of the video
+  element.
+  */
+  $.deck('extend', 'replay', function(data, src) {
+    var options = $.deck('getOptions').recorder;
+    var loading = typeof data === 'string' ? $.getJSON(data) : $.Deferred().resolve(data);
+
+    return loading.then(function(data) {
+      if (replay) $(replay.video).remove();
+
+      var $video = $('<video controls>').addClass(options.videoClass).attr('src', src);
+      replay = { track: data, video: $video[0], event: null };
+
+      $video.bind('timeupdate seeked', follow).appendTo('body');
+      $('html').addClass('deck-replay');
+
+      return replay.video;
+    }, function() {
+      if (window.console) console.warn('Replay: could not load the track ' + data);
+    });
+  });
+
+  $document.bind('deck.init', function() {
+    var options = $.deck('getOptions');
+
+    $document.unbind('keydown.deckrecorder');
+    $document.bind('keydown.deckrecorder', function(event) {
+      var key = options.keys.record;
+      if (/^(input|select|textarea)$/i.test(event.target.nodeName)) return;
+      if (event.which === key || $.inArray(event.which, key) > -1) {
+        event.preventDefault();
+        $.deck('record');
+      }
+    });
+
+    var match = location.search.match(/[?&]replay=([^&]*)/);
+    var video = location.search.match(/[?&]video=([^&]*)/);
+    if (match) {
+      // after slides.js is done setting up
+      setTimeout(function() {
+        $.deck('replay', decodeURIComponent(match[1]), video ? decodeURIComponent(video[1]) : '');
+      }, 0);
+    }
+  });
+
+  // getSlide() only points at the new slide once deck.change is handled
+  $document.bind('deck.change', function() {
+    setTimeout(function() {
+      log('change');
+    }, 0);
+  });
+
+  // Steps and views of the current demo
+  $document.bind('director.ack director.step director.view', function(event) {
+    var $slide = $.deck('getSlide');
+    var $top = $slide.parents($.deck('getOptions').selectors.slides).last();
+    if (($top.length ? $top : $slide).find(event.target).length) {
+      log(event.namespace === 'view' ? 'view' : 'step');
+    }
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.keys.record
+    The numeric keycode used to start and stop recording.
+
+  options.recorder.file
+    Name of the downloaded track.
+
+  options.recorder.videoClass
+    Class of the video element a track is replayed with.
+  */
+  $.extend(true, $.deck.defaults, {
+    keys: {
+      record: 67 // c
+    },
+    recorder: {
+      file: 'deck-track.json',
+      videoClass: 'deck-replay-video'
+    }
+  });
+})(jQuery);
@@ -0,0 +1,47 @@
+/*
+Connection between the deck (resources/remote.js) and the phone remote
+(remote.html). Either a WebSocket to the relay of tools/remote-relay.js, or,
+for the address "local", a stand-in relay between the windows of this
+browser over a BroadcastChannel, which needs no server at all:
+
+  var socket = remoteSocket('ws://192.168.1.20:8000/remote');
+  var socket = remoteSocket('local');
+
+Both pass JSON text on to every other page connected, and offer the parts of
+the WebSocket interface the two pages use: send(), close(), onopen,
+onmessage (with event.data) and onclose.
+*/
+(function(window, undefined) {
+  // Address of the relay serving this page
+  var relayUrl = function() {
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/remote';
+  };
+
+  var LocalSocket = function(name) {
+    var socket = this;
+    var channel = new BroadcastChannel(name);
+
+    channel.onmessage = function(event) {
+      if (socket.onmessage) socket.onmessage({ data: event.data });
+    };
+
+    this.send = function(text) {
+      channel.postMessage(text);
+    };
+
+    this.close = function() {
+      channel.close();
+      if (socket.onclose) socket.onclose({});
+    };
+
+    setTimeout(function() {
+      if (socket.onopen) socket.onopen({});
+    }, 0);
+  };
+
+  window.remoteSocket = function(url) {
+    if (!url) url = relayUrl();
+    if (url === 'local') return new LocalSocket('deck-remote');
+    return new WebSocket(url);
+  };
+})(window);
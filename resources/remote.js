@@ -0,0 +1,152 @@
+/*
+Phone remote for the deck. A deck opened with ?remote connects to the relay
+of tools/remote-relay.js and remote.html, opened on a phone, drives it: the
+remote shows the titles of the current and next slide, the notes and the step
+of the current demo, and calls the same methods as the presenter window.
+
+  index.html?remote
+    relay serving the deck
+  index.html?remote=ws://host:8000/remote
+    relay somewhere else, remote.html?relay=ws://host:8000/remote
+  index.html?remote=local
+    no relay, remote.html?relay=local in another window of this browser
+
+Messages are JSON text, { remote: ... }. The remote says hello and calls
+methods, the deck answers every hello, change of slide and demo step with its
+state:
+
+  { remote: { type: 'hello' } }
+  { remote: { type: 'call', method: 'goDemo', args: [3] } }
+  { remote: { type: 'state', index: 12, total: 80, title: 'Cameras',
+    next: 'Cameras', notes: '...', demo: { step: 3, steps: 8 } } }
+
+When windows are mirrored (resources/sync.js) only the leader answers.
+Requires resources/remote-socket.js, resources/slides.js for the demo step
+and resources/presenter.js for the notes.
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var socket = null;
+
+  // Methods the remote is allowed to call on the deck
+  var remoteMethods = ['next', 'prev', 'go', 'goDemo'];
+
+  var getTopSlide = function(index) {
+    var $slide = $.deck('getSlide', index);
+    var $parents = $slide.parents($.deck('getOptions').selectors.slides);
+    return $parents.length ? $parents.last() : $slide;
+  };
+
+  var currentIndex = function() {
+    return $.inArray($.deck('getSlide')[0], $.map($.deck('getSlides'), function($s) {
+      return $s[0];
+    }));
+  };
+
+  // First heading of the slide, or of its top level slide
+  var title = function(index) {
+    var $slide = $.deck('getSlide', index);
+    var $heading = $slide.find('h1, h2, h3').first();
+    if (!$heading.length) $heading = getTopSlide(index).find('h1, h2, h3').first();
+    return $.trim($heading.text()) || $slide.attr('id');
+  };
+
+  var leading = function() {
+    return !$.deck('getOptions').sync || $.deck('syncLeading');
+  };
+
+  var send = function(index) {
+    if (!socket || !socket.ready || !leading()) return;
+
+    index = index == null ? currentIndex() : index;
+
+    var total = $.deck('getSlides').length;
+    var demo = $.deck('getDemo', index);
+
+    socket.send(JSON.stringify({ remote: {
+      type: 'state',
+      index: index,
+      total: total,
+      title: title(index),
+      next: index + 1 < total ? title(index + 1) : null,
+      notes: $.deck('getNotes', index),
+      demo: demo && demo.ready ? { step: demo.step, steps: demo.steps } : null
+    }}));
+  };
+
+  var receive = function(event) {
+    var data;
+    try {
+      data = JSON.parse(event.data).remote;
+    }
+    catch (e) {
+      return;
+    }
+    if (!data || !leading()) return;
+
+    if (data.type === 'hello') {
+      send();
+    }
+    else if (data.type === 'call' && $.inArray(data.method, remoteMethods) > -1) {
+      $.deck.apply($, [data.method].concat(data.args || []));
+    }
+  };
+
+  // Reconnects whenever the relay goes away
+  var connect = function(url) {
+    socket = remoteSocket(url);
+    socket.onopen = function() {
+      socket.ready = true;
+      send();
+    };
+    socket.onmessage = receive;
+    socket.onclose = function() {
+      socket.ready = false;
+      setTimeout(function() {
+        connect(url);
+      }, $.deck('getOptions').remote.retry);
+    };
+  };
+
+  // ?remote, ?remote=url or options.remote.url
+  var address = function() {
+    var match = location.search.match(/[?&]remote(?:=([^&]*))?/);
+    if (match) return match[1] ? decodeURIComponent(match[1]) : '';
+    return $.deck('getOptions').remote.url;
+  };
+
+  $document.bind('deck.init', function() {
+    var url = address();
+    if (socket || url == null || !window.remoteSocket) return;
+    connect(url);
+  });
+
+  $document.bind('deck.change', function(event, from, to) {
+    send(to);
+  });
+
+  // Demo steps taken inside the current slide's iframe
+  $document.bind('director.ready director.ack director.step', function(event) {
+    if (getTopSlide().find(event.target).length) {
+      send();
+    }
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.remote.url
+    Address of the relay to connect to without ?remote in the address: a
+    ws:// url, '' for the relay serving the deck or 'local'. null connects
+    only with ?remote.
+
+  options.remote.retry
+    Milliseconds to wait before connecting again after the relay went away.
+  */
+  $.extend(true, $.deck.defaults, {
+    remote: {
+      url: null,
+      retry: 2000
+    }
+  });
+})(jQuery);
@@ -8,9 +8,165 @@ $(function() {
 
   window.iframes = [];
 
+  // Director protocol, see iframes/three/Director.js
+  // Demos announce themselves with 'ready' and report their step count,
+  // then acknowledge or reject every step the deck asks for.
+  function directorState(iframe) {
+    var state = $(iframe).data('director');
+    if (!state) {
+      state = { ready: false, step: null, steps: null, pending: null, error: null, params: null, paused: false, poster: false, view: null, orbited: false };
+      $(iframe).data('director', state);
+    }
+    return state;
+  }
+
+  function directorCall(iframe, method, args) {
+    iframe.contentWindow && iframe.contentWindow.postMessage({ director: { method: method, args: args }}, '*');
+  }
+
   // Go to specific step
   function directorGo(iframe, step) {
-    iframe.contentWindow && iframe.contentWindow.postMessage({ director: { args: [step] }}, '*');
+    if (directorState(iframe).poster) return posterGo(iframe, step);
+    directorState(iframe).pending = step;
+    directorCall(iframe, 'go', [step]);
+  }
+
+  // Idle or wake up a demo, preloaded neighbours are kept paused
+  function directorPause(iframe, paused) {
+    if (directorState(iframe).poster) return;
+    directorState(iframe).paused = paused;
+    directorCall(iframe, paused ? 'pause' : 'resume', []);
+  }
+
+  // Demos without WebGL, or every demo when the deck is opened with ?posters,
+  // are replaced by the stills tools/render-posters.js captured of each step:
+  // iframes/posters/<demo>/step-<n>.png, step counts in iframes/posters/posters.js
+  var forcePosters = /[?&]posters\b/.test(location.search);
+
+  function posterUrl(iframe, step) {
+    var src = ($(iframe).attr('src') || '').split(/[?#]/)[0];
+    var match = src.match(/^(.*?)([^\/]+)\.html$/);
+    var posters = window.DEMO_POSTERS || {};
+    if (!match || !posters[match[2]]) return null;
+    return step === undefined ? posters[match[2]] : match[1] + 'posters/' + match[2] + '/step-' + step + '.png';
+  }
+
+  function posterGo(iframe, step) {
+    var state = directorState(iframe);
+    var info = posterUrl(iframe);
+
+    state.steps = info ? info.steps : state.steps || 1;
+    state.step = Math.max(1, Math.min(state.steps, step < 0 ? state.steps + 1 + step : step));
+    state.pending = null;
+    state.error = null;
+
+    var $poster = $(iframe).next('.demo-poster');
+    if (!$poster.length) {
+      $poster = $('<img class="demo-poster" alt="">').insertAfter(iframe);
+    }
+    $poster.css({
+      left: iframe.offsetLeft,
+      top: iframe.offsetTop,
+      width: iframe.offsetWidth,
+      height: iframe.offsetHeight
+    });
+
+    // without stills the demo stays visible, with its own WebGL message
+    if (info) {
+      $poster.attr('src', posterUrl(iframe, state.step)).show();
+      $(iframe).css('visibility', 'hidden');
+    }
+    else {
+      $poster.hide();
+      $(iframe).css('visibility', '');
+    }
+    $(iframe).trigger('director.ack', [state]);
+  }
+
+  function posterMode(iframe) {
+    var state = directorState(iframe);
+    var step = state.pending !== null ? state.pending : 1;
+    directorPause(iframe, true);
+    state.ready = true;
+    state.poster = true;
+    posterGo(iframe, step);
+  }
+
+  window.addEventListener('message', function (e) {
+    var data = e.data && e.data.director;
+    if (!data) return;
+
+    var iframe = null;
+    $('iframe').each(function () {
+      if (this.contentWindow === e.source) {
+        iframe = this;
+        return false;
+      }
+    });
+    if (!iframe) return;
+
+    var state = directorState(iframe);
+    if (state.poster) return;
+    state.steps = data.steps;
+
+    if (data.type == 'nowebgl' || (data.type == 'ready' && forcePosters)) {
+      posterMode(iframe);
+      return;
+    }
+    else if (data.type == 'ready') {
+      state.ready = true;
+      state.step = data.step;
+      // the step sent on load may have arrived before the demo listened
+      if (state.pending !== null) directorGo(iframe, state.pending);
+      if (state.paused) directorPause(iframe, true);
+    }
+    else if (data.type == 'ack' || data.type == 'step') {
+      state.step = data.step;
+      state.pending = null;
+      state.error = null;
+    }
+    else if (data.type == 'reject') {
+      state.pending = null;
+      state.error = data.reason;
+      if (window.console) {
+        console.warn('Demo ' + $(iframe).attr('src') + ' rejected step ' + data.step + ': ' + data.reason);
+      }
+    }
+    else if (data.type == 'params') {
+      // current values of the demo's parameters, see iframes/three/Params.js
+      state.params = data.params;
+    }
+    else if (data.type == 'view') {
+      state.view = data.view;
+      // false when the demo only answers the deck putting a view back
+      state.orbited = !data.requested;
+    }
+
+    // a linked view is restored once the linked demo is listening
+    if (data.type == 'ready' && linkedView && $frames && $frames.index(iframe) > -1) {
+      directorCall(iframe, 'view', [linkedView]);
+      linkedView = null;
+    }
+
+    $(iframe).trigger('director.' + data.type, [state]);
+  });
+
+  // Step the demo is at, or is about to be at
+  function directorStep(state) {
+    var step = state.pending !== null ? state.pending : state.step;
+    return step < 0 ? state.steps + 1 + step : step;
+  }
+
+  // First iframe on a slide that speaks the director protocol
+  function directorFrame($slide) {
+    var frame = null;
+    $slide.find('iframe').each(function () {
+      if (directorState(this).ready) {
+        frame = this;
+        return false;
+      }
+    });
+    return frame;
   }
 
   // Pre-load and unload iframes one frame before/after
@@ -33,6 +189,8 @@ $(function() {
       $(iframe).data('src', src);
       iframe.onload = null;
       iframe.src = 'about:blank';
+      $(iframe).removeData('director');
+      $(iframe).css('visibility', '').next('.demo-poster').remove();
 
       iframes.splice(iframes.indexOf(iframe), 1);
     }
@@ -44,6 +202,7 @@ $(function() {
       iframe.onload = function () {
         iframe.onload = null;
         directorGo(iframe, step);
+        directorPause(iframe, !$frames || $frames.index(iframe) < 0);
       }
       iframe.src = src;
       $(iframe).data('src', null);
@@ -57,33 +216,222 @@ $(function() {
     disable(this);
   });
 
-  // Respond to presentation deck navigation
-  var $frames = null;
+  function getTopSlide(step) {
+    var $slide = $.deck('getSlide', step),
+        $parents = $slide.parents('.slide');
 
-	$(document).bind('deck.change', function (e, from, to) {
-    var out = [];
+    if ($parents.length) {
+      $slide = $parents;
+    }
 
-    $('#message').remove();
+    return $slide;
+  }
+
+  // Demo step implied by the nested .slide elements
+  function getSlideStep(index) {
+    return getTopSlide(index).find('.slide').index($.deck('getSlide', index)) + 2;
+  }
+
+  // Consult the current demo before moving on, so demos can have
+  // more steps than their slide has nested .slide elements.
+  // Handout exports (resources/export.js) take one page per slide instead.
+  $(document).bind('deck.beforeChange', function (e, from, to) {
+    if (Math.abs(to - from) != 1 || $('html').hasClass('deck-export')) return;
 
-    function getTopSlide(step) {
-      var $slide = $.deck('getSlide', step),
-          $parents = $slide.parents('.slide');
+    var $slide = getTopSlide(from);
+    var frame = directorFrame($slide);
+    if (!frame) return;
 
-      if ($parents.length) {
-        $slide = $parents;
+    var state = directorState(frame);
+    var step = directorStep(state);
+    var leaving = getTopSlide(to)[0] !== $slide[0];
+
+    if (to > from && leaving && step < state.steps) {
+      e.preventDefault();
+      directorGo(frame, step + 1);
+    }
+    else if (to < from && step > getSlideStep(from)) {
+      e.preventDefault();
+      directorGo(frame, step - 1);
+    }
+  });
+
+  /*
+  jQuery.deck('getDemo', index)
+
+  Returns the director state ({ ready, step, steps, pending, error, params,
+  paused, poster, view, orbited }) of the demo on the slide at index, or the
+  current slide, or null if it has none. params holds the values of the demo's
+  parameters once it has reported them, paused whether the deck keeps it idle,
+  poster whether it is shown as stills, view where the camera is and orbited
+  whether the user put it there rather than the deck.
+  */
+  $.deck('extend', 'getDemo', function (index) {
+    var frame = directorFrame(getTopSlide(index));
+    return frame ? directorState(frame) : null;
+  });
+
+  /*
+  jQuery.deck('goDemo', step)
+
+  Moves the demo on the current slide to step. Negative steps count back
+  from the demo's last step.
+  */
+  $.deck('extend', 'goDemo', function (step) {
+    var frame = directorFrame(getTopSlide());
+    if (frame) directorGo(frame, step);
+  });
+
+  /*
+  jQuery.deck('demoParams', [params])
+
+  Sets parameters of the demo on the current slide, e.g.
+  $.deck('demoParams', { fov: 30 }). Without params the demo only reports its
+  current values. Either way the values arrive in getDemo().params and with a
+  director.params event on the iframe.
+  */
+  $.deck('extend', 'demoParams', function (params) {
+    var frame = directorFrame(getTopSlide());
+    if (frame) directorCall(frame, params ? 'set' : 'params', params ? [params] : []);
+  });
+
+  /*
+  jQuery.deck('demoGui', [visible])
+
+  Shows, hides or, without visible, toggles the parameter panel of the demo
+  on the current slide.
+  */
+  $.deck('extend', 'demoGui', function (visible) {
+    var frame = directorFrame(getTopSlide());
+    if (frame) directorCall(frame, 'gui', visible === undefined ? [] : [visible]);
+  });
+
+  /*
+  jQuery.deck('getLink')
+
+  Returns the link to the current slide, demo step and camera view, as in
+  the address bar: '#slide-id&step=3&view=x,y,z,tx,ty,tz'.
+  */
+  $.deck('extend', 'getLink', function () {
+    return currentLink();
+  });
+
+  /*
+  jQuery.deck('goLink', link)
+
+  Goes to the slide, demo step and camera view of a link from getLink. When
+  the deck is already on that slide only the demo is moved.
+  */
+  $.deck('extend', 'goLink', function (link) {
+    followLink(link, true);
+  });
+
+  // Links to a demo step and camera view: #slide-id&step=3&view=x,y,z,tx,ty,tz
+  // Steps implied by the nested slides and untouched views are left out.
+  var linkedStep = null;
+  var linkedView = null;
+
+  function parseHash(hash) {
+    var parts = hash.replace(/^#/, '').split('&');
+    var link = { index: -1, step: null, view: null };
+
+    $.each($.deck('getSlides'), function (i, $slide) {
+      if ($slide.attr('id') === parts[0]) {
+        link.index = i;
+        return false;
       }
+    });
 
-      return $slide;
+    $.each(parts.slice(1), function (i, part) {
+      var pair = part.split('=');
+      if (pair[0] == 'step') link.step = parseInt(pair[1], 10) || null;
+      if (pair[0] == 'view') link.view = $.map(pair[1].split(','), parseFloat);
+    });
+
+    return link;
+  }
+
+  function currentLink() {
+    var current = $.deck('getSlide');
+    var frame = directorFrame(getTopSlide());
+    var hash = '#' + current.attr('id');
+
+    if (frame) {
+      var state = directorState(frame);
+      var index = parseHash(hash).index;
+      var step = directorStep(state);
+      if (step !== null && step !== getSlideStep(index)) hash += '&step=' + step;
+      if (state.view) hash += '&view=' + state.view.join(',');
+    }
+
+    return hash;
+  }
+
+  function updateHash() {
+    var hash = currentLink();
+
+    if (hash !== location.hash && window.history.replaceState) {
+      window.history.replaceState({}, '', location.href.replace(/#.*/, '') + hash);
     }
+  }
+
+  // Plain slide links are left to deck.core unless always is set
+  function followLink(hash, always) {
+    var link = parseHash(hash);
+    if (link.index < 0 || (!always && link.step === null && link.view === null)) return;
+
+    // Already on the slide, so only the demo moves
+    if ($.deck('getSlide')[0] === $.deck('getSlide', link.index)[0]) {
+      var $slide = getTopSlide(link.index);
+      var frame = directorFrame($slide) || $slide.find('iframe')[0];
+      if (!frame) return;
+
+      var state = directorState(frame);
+      var step = link.step || getSlideStep(link.index);
+      if (step !== directorStep(state)) directorGo(frame, step);
+
+      // a demo still loading gets the view once it is ready
+      if (!state.ready) linkedView = link.view;
+      else if (link.view && String(link.view) !== String(state.view)) directorCall(frame, 'view', [link.view]);
+      return;
+    }
+
+    linkedStep = link.step;
+    linkedView = link.view;
+    $.deck('go', link.index);
+  }
+
+  $(document).bind('director.ack director.step director.view', function (e) {
+    if ($frames && $frames.index(e.target) > -1) updateHash();
+  });
+
+  // deck.core only knows plain slide ids
+  $(window).bind('hashchange.deckdemo', function () {
+    followLink(location.hash);
+  });
+
+  // Respond to presentation deck navigation
+  var $frames = null;
+
+	$(document).bind('deck.change', function (e, from, to) {
+    var out = [];
+
+    $('#message').remove();
 
-    var $subslide = $.deck('getSlide', to);
     var $slide = getTopSlide(to);
-    var step = $slide.find('.slide').index($subslide) + 2;
+    var step = linkedStep || getSlideStep(to);
+    linkedStep = null;
 
     // Sync up iframes to correct step
     $frames = $slide.find('iframe');
     $frames.each(function () {
       directorGo(this, step);
+      directorPause(this, false);
+    });
+
+    // Idle the demos preloaded on the slides around it
+    $(iframes).not($frames).each(function () {
+      directorPause(this, true);
     });
 
     // Start playing videos
@@ -99,13 +447,14 @@ $(function() {
       });
     }, 500 / speed + 80);
 
-    // Start at beginning or end of slides
+    // Neighbours start at the beginning or end of their slides
     var go = to > from ? 1 : -1;
 
     // Pre-load iframes (but allow time for current transition)
     $iframes[to].each(function () {
       var iframe = this;
-      setTimeout(function () { enable(iframe, go); }, 500 / speed + 80);
+      var first = $frames.index(iframe) > -1 ? step : go;
+      setTimeout(function () { enable(iframe, first); }, 500 / speed + 80);
     });
 
     // Unload old iframes
@@ -126,48 +475,8 @@ $(function() {
   if ( location.hash == "" ) {
     location.hash = "slide-0";
   }
-
-
-  // xbox controller navigation
-
-  window.addEventListener( 'vr controller connected', function( event ){
-
-    var controller = event.detail;
-
-    function next( event ){
-      $.deck('next');
-    }
-
-    function prev( event ){
-      $.deck('prev');
-    }
-
-    if ( controller.style == 'xbox' ) {
-
-      controller.addEventListener( 'bumper-right press began', next );
-      controller.addEventListener( 'trigger-right press began', next );
-      controller.addEventListener( 'd-right press began', next );
-      controller.addEventListener( 'thumbstick-left right press began', next );
-      controller.addEventListener( 'thumbstick-right right press began', next );
-
-      controller.addEventListener( 'bumper-left press began', prev );
-      controller.addEventListener( 'trigger-left press began', prev );
-      controller.addEventListener( 'd-left press began', prev );
-      controller.addEventListener( 'thumbstick-left left press began', prev );
-      controller.addEventListener( 'thumbstick-right left press began', prev );
-
-    } else {
-
-      controller.addEventListener( 'primary press began', next );
-
-    }
-
-  });
-
-  loop();
-  function loop() {
-    requestAnimationFrame( loop );
-    THREE.VRController.update();
+  else {
+    followLink(location.hash);
   }
 
 });
\ No newline at end of file
@@ -0,0 +1,207 @@
+/*
+Mirrors the deck across all windows it is open in on the same origin, e.g. a
+projector window and a confidence monitor, through a BroadcastChannel and
+without any server.
+
+One window leads and the others follow it: the leader sends where it is as a
+link from $.deck('getLink') whenever it changes slide, its current demo takes
+a step or the user orbits the demo's camera (DIRECTOR.track in
+iframes/three/Director.js), and the followers go there with
+$.deck('goLink'). Followers can still be navigated, but move back with the
+leader's next change.
+
+The first window opened leads. Pressing "l" makes a follower the leader, and
+when the leader is closed the remaining window opened first takes over. Each
+claim to lead raises the term, the highest term wins and within a term the
+older window does:
+
+  { sync: { type: 'hello', id: id } }
+  { sync: { type: 'leader', id: id, term: 2, link: '#slide-id&step=3' } }
+  { sync: { type: 'link', id: id, term: 2, link: '#slide-id&step=4' } }
+  { sync: { type: 'bye', id: id } }
+
+Windows of different deck files (index.html, offline.html) don't see each
+other. Requires resources/slides.js for the links.
+*/
+(function($, undefined) {
+  var $document = $(document);
+  var channel = null;
+
+  // Start time first, so the ids of older windows sort lower
+  var id = Date.now() + '-' + Math.random().toString(36).slice(2, 8);
+  var term = 0;
+  var leader = null;
+  var sent = null;
+  var timer = null;
+
+  var older = function(a, b) {
+    var ta = parseInt(a, 10), tb = parseInt(b, 10);
+    return ta === tb ? a < b : ta < tb;
+  };
+
+  var post = function(message) {
+    message.id = id;
+    channel.postMessage({ sync: message });
+  };
+
+  var leading = function() {
+    return leader === id;
+  };
+
+  var mark = function() {
+    var classes = $.deck('getOptions').classes;
+    $.deck('getContainer')
+      .toggleClass(classes.syncLeader, leading())
+      .toggleClass(classes.syncFollower, leader !== null && !leading());
+  };
+
+  var announce = function() {
+    sent = $.deck('getLink');
+    post({ type: 'leader', term: term, link: sent });
+  };
+
+  var claim = function() {
+    clearTimeout(timer);
+    term += 1;
+    leader = id;
+    mark();
+    announce();
+  };
+
+  // Elect a leader unless one answers in time
+  var elect = function() {
+    clearTimeout(timer);
+    timer = setTimeout(function() {
+      if (leader === null) claim();
+    }, $.deck('getOptions').sync.wait);
+  };
+
+  var update = function() {
+    if (!channel || !leading()) return;
+    var link = $.deck('getLink');
+    if (link === sent) return;
+    sent = link;
+    post({ type: 'link', term: term, link: link });
+  };
+
+  var receive = function(event) {
+    var data = event.data && event.data.sync;
+    if (!data || data.id === id) return;
+
+    if (data.type === 'hello') {
+      if (leading()) announce();
+    }
+    else if (data.type === 'leader') {
+      if (data.term > term || (data.term === term && (leader === null || older(data.id, leader)))) {
+        clearTimeout(timer);
+        term = data.term;
+        leader = data.id;
+        mark();
+        $.deck('goLink', data.link);
+      }
+      else if (leading()) {
+        // A stale claim, put its window straight
+        announce();
+      }
+    }
+    else if (data.type === 'link') {
+      if (data.id === leader) $.deck('goLink', data.link);
+    }
+    else if (data.type === 'bye') {
+      if (data.id === leader) {
+        leader = null;
+        mark();
+        elect();
+      }
+    }
+  };
+
+  /*
+  jQuery.deck('syncLead')
+
+  Makes this window the leader the other windows of the deck follow.
+  */
+  $.deck('extend', 'syncLead', function() {
+    if (channel && !leading()) claim();
+  });
+
+  /*
+  jQuery.deck('syncLeading')
+
+  Returns true if this window leads the other windows of the deck, and also
+  when there is nothing to lead because BroadcastChannel isn't supported.
+  */
+  $.deck('extend', 'syncLeading', function() {
+    return !channel || leading();
+  });
+
+  $document.bind('deck.init', function() {
+    var options = $.deck('getOptions');
+
+    $document.unbind('keydown.decksync');
+    $document.bind('keydown.decksync', function(event) {
+      var key = options.keys.syncLead;
+      if (/^(input|select|textarea)$/i.test(event.target.nodeName)) return;
+      if (event.which === key || $.inArray(event.which, key) > -1) {
+        event.preventDefault();
+        $.deck('syncLead');
+      }
+    });
+
+    if (channel || !window.BroadcastChannel) return;
+
+    channel = new BroadcastChannel(options.sync.channel + ':' + location.pathname);
+    channel.onmessage = receive;
+
+    $(window).bind('pagehide.decksync', function() {
+      if (leading()) post({ type: 'bye' });
+    });
+
+    post({ type: 'hello' });
+    elect();
+  });
+
+  // getSlide() only points at the new slide once deck.change is handled
+  $document.bind('deck.change', function() {
+    setTimeout(update, 0);
+  });
+
+  // Steps and views of the current demo
+  $document.bind('director.ack director.step director.view', function(event) {
+    var $slide = $.deck('getSlide');
+    var $top = $slide.parents($.deck('getOptions').selectors.slides).last();
+    if (($top.length ? $top : $slide).find(event.target).length) update();
+  });
+
+  /*
+  Extends defaults/options.
+
+  options.classes.syncLeader
+    This class is added to the deck container of the leading window.
+
+  options.classes.syncFollower
+    This class is added to the deck container of following windows.
+
+  options.keys.syncLead
+    The numeric keycode used to make this window the leader.
+
+  options.sync.channel
+    Name of the BroadcastChannel, the path of the deck file is appended.
+
+  options.sync.wait
+    Milliseconds a new window waits for a leader to answer before it leads.
+  */
+  $.extend(true, $.deck.defaults, {
+    classes: {
+      syncLeader: 'deck-sync-leader',
+      syncFollower: 'deck-sync-follower'
+    },
+    keys: {
+      syncLead: 76 // l
+    },
+    sync: {
+      channel: 'deck-sync',
+      wait: 300
+    }
+  });
+})(jQuery);
@@ -0,0 +1,40 @@
+/*
+Tests for the overlap check of iframes/three/UVsDebug.js, on faces given as
+{ uvs: [ THREE.Vector2 x 3 ] }.
+
+  node --test spec/*.spec.js
+*/
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+global.THREE = global.THREE || require(path.join(root, 'iframes/three/three.js'));
+vm.runInThisContext(fs.readFileSync(path.join(root, 'iframes/three/UVsDebug.js'), 'utf8'), {
+  filename: 'iframes/three/UVsDebug.js'
+});
+
+function face() {
+  var uvs = [];
+  for (var i = 0; i < arguments.length; i += 2) uvs.push(new THREE.Vector2(arguments[i], arguments[i + 1]));
+  return { uvs: uvs };
+}
+
+test('faces side by side do not overlap', function () {
+  var faces = [face(0.1, 0.1, 0.4, 0.1, 0.1, 0.4), face(0.5, 0.5, 0.9, 0.5, 0.5, 0.9)];
+
+  assert.deepStrictEqual(THREE.UVsDebug.overlaps(faces), {});
+});
+
+test('every piece of a face wrapping across the square is compared, whatever the face order', function () {
+  // a reaches past u = 1 and overlaps b once wrapped, not before
+  var a = face(0.9, 0.1, 1.5, 0.1, 0.9, 0.5);
+  var b = face(0.2, 0.15, 0.95, 0.6, 0.2, 0.2);
+
+  assert.ok(THREE.UVsDebug.intersect(THREE.UVsDebug.copies(a.uvs)[1], b.uvs));
+  assert.deepStrictEqual(THREE.UVsDebug.overlaps([a, b]), { 0: true, 1: true });
+  assert.deepStrictEqual(THREE.UVsDebug.overlaps([b, a]), { 0: true, 1: true });
+});
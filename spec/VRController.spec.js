@@ -0,0 +1,517 @@
+/*
+Tests for resources/VRController.js without controllers: scripted gamepad
+snapshots go in through THREE.VRController.getGamepads() and time through
+THREE.VRController.now(), as the top of VRController.js describes. The deck
+bindings of resources/controller.js run on a stand-in for jQuery and deck.js.
+
+  node --test spec/*.spec.js
+*/
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+// The browser globals VRController.js touches, and the window events it sent
+var windowEvents = [];
+var windowListeners = [];
+global.window = global;
+global.navigator = {};
+global.document = {};
+global.CustomEvent = function (type, options) {
+  this.type = type;
+  this.detail = options && options.detail;
+};
+global.dispatchEvent = function (event) {
+  windowEvents.push(event);
+  windowListeners.forEach(function (listener) {
+    if (listener.type === event.type) listener.callback(event);
+  });
+};
+global.addEventListener = function (type, callback) {
+  windowListeners.push({ type: type, callback: callback });
+};
+global.requestAnimationFrame = function () {};
+
+// Just enough of jQuery and deck.js for controller.js, keeping the deck
+// methods it calls
+var deckCalls = [];
+var documentHandlers = {};
+global.jQuery = function () {
+  return {
+    bind: function (type, handler) { documentHandlers[type] = handler; }
+  };
+};
+jQuery.extend = function (deep, target, source) { return Object.assign(target, source); };
+jQuery.each = function (object, callback) {
+  Object.keys(object).forEach(function (key) { callback(key, object[key]); });
+};
+jQuery.makeArray = function (value) { return value == null ? [] : [].concat(value); };
+jQuery.deck = function (method) {
+  if (method === 'getOptions') return { buttons: jQuery.deck.defaults.buttons, keys: {} };
+  deckCalls.push(method);
+};
+jQuery.deck.defaults = {};
+
+global.THREE = require(path.join(root, 'iframes/three/three.js'));
+vm.runInThisContext(fs.readFileSync(path.join(root, 'resources/VRController.js'), 'utf8'), {
+  filename: 'resources/VRController.js'
+});
+vm.runInThisContext(fs.readFileSync(path.join(root, 'resources/controller.js'), 'utf8'), {
+  filename: 'resources/controller.js'
+});
+documentHandlers['deck.init']();
+
+var VRController = THREE.VRController;
+
+var time = 0;
+var snapshots = [];
+
+VRController.getGamepads = function () { return snapshots; };
+VRController.now = function () { return time; };
+
+// A gamepad as navigator.getGamepads() hands it out, with its pulses recorded
+function gamepad(id, buttons, axes, mapping) {
+  var pad = {
+    index: 0,
+    id: id,
+    mapping: mapping || '',
+    connected: true,
+    axes: axes || [],
+    buttons: [],
+    pulses: []
+  };
+
+  for (var i = 0; i < buttons; i++) pad.buttons.push({ value: 0, pressed: false, touched: false });
+
+  pad.hapticActuators = [{
+    pulse: function (intensity, duration) {
+      pad.pulses.push([intensity, duration]);
+    }
+  }];
+
+  return pad;
+}
+
+function xbox() {
+  return gamepad('Xbox 360 Controller (XInput STANDARD GAMEPAD)', 17, [0, 0, 0, 0], 'standard');
+}
+
+function press(pad, i, on) {
+  pad.buttons[i] = { value: on ? 1 : 0, pressed: on, touched: on };
+}
+
+// Event types the controller dispatches from now on
+function record(controller) {
+  var events = [];
+  var dispatch = controller.dispatchEvent;
+
+  controller.dispatchEvent = function (event) {
+    events.push(event.type);
+    return dispatch.apply(this, arguments);
+  };
+
+  return events;
+}
+
+function reset() {
+  VRController.controllers = [];
+  VRController.xrControllers = [];
+  VRController.session = null;
+  windowEvents.length = 0;
+  snapshots = [];
+  time = 0;
+}
+
+test('a gamepad connects when it shows up and disconnects when its slot empties', function () {
+  reset();
+
+  var pad = xbox();
+  snapshots = [pad];
+  VRController.update();
+
+  assert.strictEqual(windowEvents.length, 1);
+  assert.strictEqual(windowEvents[0].type, 'vr controller connected');
+
+  var controller = windowEvents[0].detail;
+  assert.strictEqual(VRController.controllers[0], controller);
+  assert.strictEqual(controller.style, 'xbox');
+  assert.deepStrictEqual(pad.pulses, [[0.1, 300]]);
+
+  // polled again without connecting twice
+  VRController.update();
+  assert.strictEqual(windowEvents.length, 1);
+
+  var disconnected = [];
+  controller.addEventListener('disconnected', function (event) {
+    disconnected.push(event.controller);
+  });
+
+  snapshots = [null];
+  VRController.update();
+
+  assert.deepStrictEqual(disconnected, [controller]);
+  assert.strictEqual(VRController.controllers[0], undefined);
+});
+
+test('pressing and releasing a button begins and ends its press', function () {
+  reset();
+
+  var pad = xbox();
+  snapshots = [pad];
+  VRController.update();
+
+  var controller = VRController.controllers[0];
+  var events = record(controller);
+
+  press(pad, 0, true);
+  VRController.update();
+  VRController.update();
+  press(pad, 0, false);
+  VRController.update();
+
+  assert.deepStrictEqual(events.filter(function (type) { return / press /.test(type); }), [
+    'a press began', 'primary press began',
+    'a press ended', 'primary press ended'
+  ]);
+  assert.ok(events.indexOf('a value changed') > -1);
+});
+
+test('Chromium style snapshots, a new object every poll, are followed', function () {
+  reset();
+
+  snapshots = [xbox()];
+  VRController.update();
+
+  var events = record(VRController.controllers[0]);
+
+  var next = xbox();
+  press(next, 3, true);
+  snapshots = [next];
+  VRController.update();
+
+  assert.ok(events.indexOf('y press began') > -1);
+  assert.strictEqual(VRController.controllers[0].gamepad, next);
+});
+
+test('sticks ignore the dead zone and press in a direction past the press threshold', function () {
+  reset();
+
+  var pad = xbox();
+  snapshots = [pad];
+  VRController.update();
+
+  var controller = VRController.controllers[0];
+  var axes = [];
+  var events = record(controller);
+
+  controller.addEventListener('thumbstick-left axes changed', function (event) {
+    axes.push(event.axes.slice());
+  });
+
+  function stick(x, y) {
+    pad.axes[0] = x;
+    pad.axes[1] = y;
+    VRController.update();
+  }
+
+  assert.strictEqual(controller.axisThreshold, 0.2);
+  assert.strictEqual(controller.axisPressThreshold, 0.6);
+
+  // both under the dead zone: no change from rest
+  stick(0.15, -0.1);
+  assert.deepStrictEqual(axes, []);
+
+  // moving, not pressing
+  stick(0.5, 0);
+  assert.deepStrictEqual(axes, [[0.5, 0]]);
+
+  stick(0.7, 0);
+  stick(0.9, 0);
+  stick(0.1, 0.1);
+  stick(0, -0.8);
+  stick(0, 0);
+
+  assert.deepStrictEqual(events.filter(function (type) { return /^thumbstick-left \w+ press/.test(type); }), [
+    'thumbstick-left right press began',
+    'thumbstick-left right press ended',
+    'thumbstick-left up press began',
+    'thumbstick-left up press ended'
+  ]);
+
+  // back in the dead zone reads as rest
+  assert.deepStrictEqual(axes[axes.length - 1], [0, 0]);
+});
+
+// Where a thumb is on the pad of a Daydream or Gear VR controller
+function thumb(pad, x, touched, pressed) {
+  pad.axes = [x, 0];
+  pad.buttons[0] = { value: pressed ? 1 : 0, pressed: pressed, touched: touched };
+  VRController.update();
+}
+
+test('thumbpads press in a direction while clicked on that side', function () {
+  reset();
+
+  var pad = gamepad('Daydream Controller', 1, [0, 0]);
+  snapshots = [pad];
+  VRController.update();
+
+  var events = record(VRController.controllers[0]);
+
+  // a thumb resting on the pad
+  thumb(pad, -0.9, true, false);
+  thumb(pad, 0, false, false);
+  assert.deepStrictEqual(events.filter(function (type) { return /^thumbpad \w+ press/.test(type); }), []);
+
+  thumb(pad, -0.9, true, true);
+  thumb(pad, -0.9, true, false);
+
+  assert.deepStrictEqual(events.filter(function (type) { return / press /.test(type); }), [
+    'thumbpad left press began',
+    'thumbpad press began', 'primary press began',
+    'thumbpad left press ended',
+    'thumbpad press ended', 'primary press ended'
+  ]);
+});
+
+test('Daydream and Gear VR pads page the deck once per click and not when touched', function () {
+  [['Daydream Controller', 1], ['Gear VR Controller', 2], ['Gear VR Touchpad', 1]].forEach(function (model) {
+    reset();
+
+    var id = model[0];
+    var pad = gamepad(id, model[1], [0, 0]);
+    snapshots = [pad];
+    VRController.update();
+    deckCalls.length = 0;
+
+    thumb(pad, -0.9, true, false);
+    thumb(pad, 0.9, true, false);
+    thumb(pad, 0, false, false);
+    assert.deepStrictEqual(deckCalls, [], id + ' touched');
+
+    thumb(pad, -0.9, true, true);
+    thumb(pad, -0.9, true, false);
+    assert.deepStrictEqual(deckCalls, ['prev'], id + ' clicked left');
+
+    thumb(pad, 0.9, true, true);
+    thumb(pad, 0, false, false);
+    assert.deepStrictEqual(deckCalls, ['prev', 'next'], id + ' clicked right');
+  });
+});
+
+test('vibe channels are scheduled on the clock and summed into pulses', function () {
+  reset();
+
+  var pad = xbox();
+  snapshots = [pad];
+  VRController.update();
+
+  var controller = VRController.controllers[0];
+  pad.pulses.length = 0;
+
+  controller.setVibe('engine').set(0.5).wait(100).set(0.2).wait(100).set(0);
+  controller.setVibe('laser').wait(50).set(0.4).wait(20).set(0);
+
+  function at(ms) {
+    time = ms;
+    VRController.update();
+    return controller.vibeChannels.intensity;
+  }
+
+  assert.strictEqual(at(10), 0.5);
+  assert.strictEqual(at(60), 0.9);
+  assert.strictEqual(at(80), 0.5);
+  assert.strictEqual(at(150), 0.2);
+  assert.strictEqual(at(250), 0);
+
+  assert.deepStrictEqual(pad.pulses.map(function (pulse) { return pulse[0]; }), [0.5, 0.9, 0.5, 0.2, 0]);
+  pad.pulses.forEach(function (pulse) {
+    assert.strictEqual(pulse[1], VRController.VIBE_TIME_MAX);
+  });
+
+  // an unchanged intensity is only commanded again before the last pulse runs out
+  at(1000);
+  assert.strictEqual(pad.pulses.length, 5);
+  at(250 + VRController.VIBE_TIME_MAX / 2 + 1);
+  assert.strictEqual(pad.pulses.length, 6);
+});
+
+test('the channels together never pulse harder than 1', function () {
+  reset();
+
+  var pad = xbox();
+  snapshots = [pad];
+  VRController.update();
+
+  var controller = VRController.controllers[0];
+  controller.setVibe('a', 0.8);
+  controller.setVibe('b', 0.7);
+
+  time = 1;
+  VRController.update();
+
+  assert.strictEqual(pad.pulses[pad.pulses.length - 1][0], 1);
+});
+
+test('WebXR input sources connect and disconnect with the session', function () {
+  reset();
+
+  var listeners = {};
+  var left = {
+    handedness: 'left',
+    profiles: ['oculus-touch-v3', 'generic-trigger-squeeze-thumbstick'],
+    gamepad: gamepad('', 7, [0, 0, 0, 0], 'xr-standard')
+  };
+  var right = {
+    handedness: 'right',
+    profiles: ['oculus-touch-v3'],
+    gamepad: gamepad('', 7, [0, 0, 0, 0], 'xr-standard')
+  };
+  var session = {
+    inputSources: [left],
+    addEventListener: function (type, listener) { listeners[type] = listener; }
+  };
+
+  VRController.setSession(session);
+  listeners.inputsourceschange({ added: [right], removed: [] });
+
+  assert.strictEqual(windowEvents.length, 2);
+  assert.deepStrictEqual(VRController.xrControllers.map(function (controller) { return controller.getHand(); }), ['left', 'right']);
+
+  var controller = VRController.xrControllers[0];
+  var events = record(controller);
+
+  press(left.gamepad, 0, true);
+  VRController.update();
+
+  assert.ok(events.indexOf('trigger press began') > -1);
+  assert.ok(events.indexOf('primary press began') > -1);
+
+  var gone = [];
+  VRController.xrControllers.forEach(function (c) {
+    c.addEventListener('disconnected', function () { gone.push(c.getHand()); });
+  });
+
+  listeners.inputsourceschange({ added: [], removed: [right] });
+  assert.deepStrictEqual(gone, ['right']);
+
+  listeners.end();
+  assert.deepStrictEqual(gone, ['right', 'left']);
+  assert.strictEqual(VRController.xrControllers.length, 0);
+  assert.strictEqual(VRController.session, null);
+});
+
+// Two updates 16 ms apart of an arm model with the head turned by yaw and the
+// controller turned by [ x, y, z ] from where the head looks
+function arm(isLeftHanded, yaw, head, controller) {
+  var model = new OrientationArmModel();
+  var headQ = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'));
+
+  model.setLeftHanded(isLeftHanded);
+  model.setHeadPosition(new THREE.Vector3().fromArray(head));
+  model.setHeadOrientation(headQ);
+
+  time = 0;
+  model.setControllerOrientation(new THREE.Quaternion());
+  model.update();
+
+  time = 16;
+  model.setControllerOrientation(headQ.clone().multiply(controller));
+  model.update();
+
+  return model;
+}
+
+function close(actual, expected, message) {
+  expected.forEach(function (value, i) {
+    assert.ok(Math.abs(actual[i] - value) < 1e-6, message + ': ' + actual + ' is not ' + expected);
+  });
+}
+
+test('right arm poses are what they were before left arms were modeled', function () {
+  reset();
+
+  // recorded from OrientationArmModel before setLeftHanded() did anything
+  [
+    { yaw: 0, head: [0, 0, 0], controller: [0, 0, 0],
+      position: [0.155, -0.465, -0.35], elbow: [0.155, -0.465, -0.15], wrist: [0.155, -0.465, -0.35] },
+    { yaw: 0.8, head: [0, 1.6, 0], controller: [0.4, 0.9, 0],
+      position: [-0.194161, 1.272139, -0.186595], elbow: [0.000891, 1.177784, -0.181125], wrist: [-0.194666, 1.229355, -0.221166] },
+    { yaw: -1.2, head: [0.3, 1.5, -0.2], controller: [-0.3, -0.5, 0.1],
+      position: [0.687984, 0.991857, 0.291762], elbow: [0.491086, 1.035, 0.297253], wrist: [0.687984, 0.991857, 0.291762] }
+  ].forEach(function (pose) {
+    var c = pose.controller;
+    var model = arm(false, pose.yaw, pose.head, new THREE.Quaternion().setFromEuler(new THREE.Euler(c[0], c[1], c[2], 'YXZ')));
+
+    close(model.getPose().position.toArray(), pose.position, 'position');
+    close(model.getElbowPosition().toArray(), pose.elbow, 'elbow');
+    close(model.getWristPosition().toArray(), pose.wrist, 'wrist');
+  });
+});
+
+test('a left arm is the mirror image of a right arm across the head, however it is turned', function () {
+  reset();
+
+  var head = [0, 1.6, 0];
+
+  [0, 0.8, -1.2, Math.PI].forEach(function (yaw) {
+    var headQ = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0, 'YXZ'));
+    var controller = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.4, 0.6, 0.2, 'YXZ'));
+
+    // the same controller orientation mirrored across the head's left and right
+    var mirrored = new THREE.Quaternion(controller.x, - controller.y, - controller.z, controller.w);
+
+    var right = arm(false, yaw, head, controller);
+    var left = arm(true, yaw, head, mirrored);
+
+    // back in the head's frame a left arm only has X the other way round
+    function local(position) {
+      return position.clone().sub(new THREE.Vector3().fromArray(head)).applyQuaternion(headQ.clone().inverse());
+    }
+
+    [
+      [right.getPose().position, left.getPose().position],
+      [right.getElbowPosition(), left.getElbowPosition()],
+      [right.getWristPosition(), left.getWristPosition()]
+    ].forEach(function (pair) {
+      var r = local(pair[0]);
+      close(local(pair[1]).toArray(), [- r.x, r.y, r.z], 'yaw ' + yaw);
+    });
+
+    assert.ok(local(left.getElbowPosition()).x < 0, 'left elbow on the left at yaw ' + yaw);
+    assert.ok(local(right.getElbowPosition()).x > 0, 'right elbow on the right at yaw ' + yaw);
+  });
+});
+
+test('3DOF controllers model the arm of the hand holding them', function () {
+  reset();
+
+  var listeners = {};
+  var source = {
+    handedness: 'left',
+    profiles: ['google-daydream'],
+    targetRaySpace: {},
+    gamepad: gamepad('', 1, [0, 0])
+  };
+  var frame = {
+    getPose: function () {
+      return { emulatedPosition: true, transform: { position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } } };
+    },
+    getViewerPose: function () {
+      return { transform: { position: { x: 0, y: 1.6, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } } };
+    }
+  };
+
+  VRController.setSession({ inputSources: [source], addEventListener: function (type, listener) { listeners[type] = listener; } }, {});
+  VRController.update(frame);
+
+  var controller = VRController.xrControllers[0];
+  assert.strictEqual(controller.dof, 3);
+  assert.strictEqual(controller.armModel.isLeftHanded, true);
+  assert.ok(controller.matrix.elements[12] < 0, 'held on the left');
+
+  listeners.end();
+});
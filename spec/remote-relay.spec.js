@@ -0,0 +1,176 @@
+/*
+Tests for tools/remote-relay.js: the hub with stand-in clients, and the
+WebSocket side over a real local socket.
+
+  node --test spec/*.spec.js
+*/
+var test = require('node:test');
+var assert = require('node:assert');
+var net = require('net');
+var crypto = require('crypto');
+var exporter = require('../tools/export-deck');
+var remoteRelay = require('../tools/remote-relay');
+
+// A client that keeps what it is sent
+function standIn() {
+  var client = { received: [] };
+  client.send = function (text) { client.received.push(text); };
+  return client;
+}
+
+// Clients mask their frames (RFC 6455 5.3)
+function masked(opcode, text) {
+  var payload = Buffer.from(text);
+  var mask = crypto.randomBytes(4);
+  var framed = remoteRelay.frame(opcode, payload);
+  var offset = framed.length - payload.length;
+  var header = Buffer.from(framed.slice(0, offset));
+
+  header[1] |= 0x80;
+  for (var i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+  return Buffer.concat([header, mask, payload]);
+}
+
+// Raw WebSocket client on the relay, resolves once the handshake is done
+function connect(port, path) {
+  return new Promise(function (resolve, reject) {
+    var socket = net.connect(port, '127.0.0.1');
+    var buffer = Buffer.alloc(0);
+    var open = false;
+    var waiting = [];
+    var client = { socket: socket, frames: [] };
+
+    client.send = function (text, opcode) {
+      socket.write(masked(opcode || 1, text));
+    };
+
+    // Next frame received, in order
+    client.next = function () {
+      if (client.frames.length) return Promise.resolve(client.frames.shift());
+      return new Promise(function (resolve) { waiting.push(resolve); });
+    };
+
+    client.close = function () {
+      socket.destroy();
+    };
+
+    socket.on('connect', function () {
+      socket.write('GET ' + path + ' HTTP/1.1\r\nHost: localhost\r\n' +
+        'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+        'Sec-WebSocket-Key: ' + crypto.randomBytes(16).toString('base64') + '\r\n' +
+        'Sec-WebSocket-Version: 13\r\n\r\n');
+    });
+
+    socket.on('data', function (data) {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (!open) {
+        var end = buffer.indexOf('\r\n\r\n');
+        if (end < 0) return;
+
+        var status = buffer.slice(0, end).toString().split('\r\n')[0];
+        buffer = buffer.slice(end + 4);
+
+        if (status.indexOf(' 101 ') < 0) {
+          socket.destroy();
+          reject(new Error(status));
+          return;
+        }
+
+        open = true;
+        resolve(client);
+      }
+
+      var parsed = remoteRelay.parse(buffer);
+      buffer = parsed.rest;
+      parsed.frames.forEach(function (f) {
+        if (waiting.length) waiting.shift()(f);
+        else client.frames.push(f);
+      });
+    });
+
+    socket.on('error', reject);
+  });
+}
+
+test('the hub passes messages to everyone but the sender', function () {
+  var hub = remoteRelay.relay();
+  var deck = standIn();
+  var phone = standIn();
+  var tablet = standIn();
+
+  hub.join(deck);
+  var leave = hub.join(phone);
+  hub.join(tablet);
+
+  hub.broadcast(phone, '{"remote":{"type":"hello"}}');
+  assert.deepStrictEqual(deck.received, ['{"remote":{"type":"hello"}}']);
+  assert.deepStrictEqual(tablet.received, ['{"remote":{"type":"hello"}}']);
+  assert.deepStrictEqual(phone.received, []);
+
+  leave();
+  hub.broadcast(deck, 'state');
+  assert.deepStrictEqual(phone.received, []);
+  assert.deepStrictEqual(tablet.received, ['{"remote":{"type":"hello"}}', 'state']);
+  assert.strictEqual(hub.clients.length, 2);
+});
+
+test('frames round trip through frame() and parse()', function () {
+  [0, 125, 126, 65535, 65536, 70000].forEach(function (length) {
+    var payload = Buffer.alloc(length, 'x');
+    var both = Buffer.concat([remoteRelay.frame(1, payload), remoteRelay.frame(9, Buffer.from('ping'))]);
+
+    var parsed = remoteRelay.parse(both);
+    assert.strictEqual(parsed.frames.length, 2);
+    assert.strictEqual(parsed.frames[0].opcode, 1);
+    assert.strictEqual(parsed.frames[0].payload.length, length);
+    assert.strictEqual(parsed.frames[1].payload.toString(), 'ping');
+    assert.strictEqual(parsed.rest.length, 0);
+
+    // half a frame waits for the rest
+    var half = remoteRelay.parse(both.slice(0, Math.floor(both.length / 2)));
+    assert.ok(half.frames.length < 2);
+  });
+
+  var unmasked = remoteRelay.parse(masked(1, 'masked')).frames[0];
+  assert.strictEqual(unmasked.payload.toString(), 'masked');
+});
+
+test('the relay connects a deck and a remote over WebSockets', async function () {
+  var hub = remoteRelay.relay();
+  var server = await exporter.serve(0, '127.0.0.1');
+  server.on('upgrade', function (request, socket) {
+    remoteRelay.upgrade(hub, request, socket);
+  });
+
+  var port = server.address().port;
+  var deck = await connect(port, '/remote?deck');
+  var phone = await connect(port, '/remote');
+
+  try {
+    await assert.rejects(connect(port, '/elsewhere'), /400/);
+
+    phone.send(JSON.stringify({ remote: { type: 'call', method: 'next', args: [] } }));
+    var call = await deck.next();
+    assert.strictEqual(call.opcode, 1);
+    assert.deepStrictEqual(JSON.parse(call.payload.toString()).remote, { type: 'call', method: 'next', args: [] });
+
+    var notes = new Array(70000).join('n');
+    deck.send(JSON.stringify({ remote: { type: 'state', index: 3, total: 80, notes: notes } }));
+    var state = JSON.parse((await phone.next()).payload.toString()).remote;
+    assert.strictEqual(state.index, 3);
+    assert.strictEqual(state.notes.length, notes.length);
+
+    phone.send('still there?', 9);
+    var pong = await phone.next();
+    assert.strictEqual(pong.opcode, 10);
+    assert.strictEqual(pong.payload.toString(), 'still there?');
+    assert.strictEqual(deck.frames.length, 0);
+  }
+  finally {
+    deck.close();
+    phone.close();
+    server.close();
+  }
+});
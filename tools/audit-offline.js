@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/*
+Lists the external assets of every deck and every page under iframes/:
+iframes, scripts, stylesheets and the fonts they load, images, videos, and
+textures or models loaded from script by URL. Links (<a href>) and anything
+inside HTML comments are ignored.
+
+  node tools/audit-offline.js            list external assets, exit 1 if an offline deck has any
+  node tools/audit-offline.js --vendor   download them into resources/vendor/ and point the pages there
+
+An offline deck fails the audit when it, or a local iframe it loads, refers to
+anything outside the repository.
+
+--vendor can't copy remote iframes (whole pages); those need a local copy in
+iframes/ referenced with data-offline by hand. Deck references are vendored
+by adding data-offline to the tag in slides/ and rebuilding the decks, page
+references by rewriting the URL in the page itself.
+*/
+var fs = require('fs');
+var path = require('path');
+var decks = require('./build-decks');
+
+var root = path.join(__dirname, '..');
+var vendor = path.join(root, 'resources', 'vendor');
+
+var external = /^(https?:)?\/\//i;
+
+var assetTags = /<(iframe|script|img|video|audio|source|embed|object|link)\b[^>]*>/gi;
+var assetAttributes = /\s(src|href|data|poster)="([^"]*)"/gi;
+var cssUrls = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+var scriptUrls = /(['"`])((?:https?:)?\/\/[^'"`\s]+)\1/g;
+
+function relative(file) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+function absolute(url) {
+  return url.indexOf('//') === 0 ? 'https:' + url : url;
+}
+
+function uncomment(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, '');
+}
+
+// Every asset URL in a stylesheet, external or not
+function scanCss(css) {
+  var found = [];
+  var match;
+
+  cssUrls.lastIndex = 0;
+  while ((match = cssUrls.exec(css))) {
+    found.push({ kind: 'css', url: match[2] });
+  }
+
+  return found;
+}
+
+// Every asset URL in a page, external or not
+function scanHtml(html) {
+  var found = [];
+  var match;
+
+  html = uncomment(html);
+
+  assetTags.lastIndex = 0;
+  while ((match = assetTags.exec(html))) {
+    var tag = match[0];
+    var kind = match[1].toLowerCase();
+    var attribute;
+
+    if (kind === 'link' && !/\srel="[^"]*(stylesheet|icon|preload)[^"]*"/i.test(tag)) continue;
+    if (kind === 'link') kind = 'stylesheet';
+
+    assetAttributes.lastIndex = 0;
+    while ((attribute = assetAttributes.exec(tag))) {
+      found.push({ kind: kind, url: attribute[2] });
+    }
+  }
+
+  // inline styles
+  html.replace(/<style\b[^>]*>([\s\S]*?)<\/style>|\sstyle="([^"]*)"/gi, function (all, block, inline) {
+    found = found.concat(scanCss(block || inline));
+  });
+
+  // textures, models and other files loaded from script
+  html.replace(/<script\b[^>]*>([\s\S]*?)<\/script>/gi, function (all, script) {
+    scriptUrls.lastIndex = 0;
+    while ((match = scriptUrls.exec(script))) {
+      // links written into the page, e.g. info.innerHTML = '<a href="...">'
+      if (/href=$/i.test(script.slice(0, match.index))) continue;
+      found.push({ kind: 'script-url', url: match[2] });
+    }
+  });
+
+  return found;
+}
+
+/*
+External assets of a page, following the local stylesheets it links and,
+when frames is set, the local iframes it loads. Returns [{ file, kind, url }].
+*/
+function audit(file, frames, seen) {
+  seen = seen || {};
+  if (seen[file] || !fs.existsSync(file)) return [];
+  seen[file] = true;
+
+  var text = fs.readFileSync(file, 'utf8');
+  var assets = /\.css$/.test(file) ? scanCss(text) : scanHtml(text);
+  var result = [];
+
+  assets.forEach(function (asset) {
+    var url = asset.url;
+
+    if (external.test(url)) {
+      result.push({ file: file, kind: asset.kind, url: url });
+      return;
+    }
+
+    if (/^(data|blob|about|javascript):|^#/i.test(url)) return;
+
+    var local = path.join(path.dirname(file), url.split(/[?#]/)[0]);
+
+    if (asset.kind === 'stylesheet' || (asset.kind === 'iframe' && frames)) {
+      result = result.concat(audit(local, frames, seen));
+    }
+  });
+
+  return result;
+}
+
+function pages() {
+  var frames = fs.readdirSync(path.join(root, 'iframes'))
+    .filter(function (file) { return /\.html$/.test(file); })
+    .sort()
+    .map(function (file) { return path.join(root, 'iframes', file); });
+
+  return Object.keys(decks.decks).map(function (name) {
+    return path.join(root, name);
+  }).concat(frames);
+}
+
+function report() {
+  var failed = [];
+
+  pages().forEach(function (file) {
+    var name = relative(file);
+    var variant = decks.decks[name];
+    var offline = variant && !variant.online;
+    var assets = audit(file, offline);
+
+    console.log(name + (offline ? ' (offline)' : ''));
+
+    if (!assets.length) {
+      console.log('  no external assets');
+    }
+
+    assets.forEach(function (asset) {
+      var via = asset.file !== file ? '  (' + relative(asset.file) + ')' : '';
+      console.log('  ' + asset.kind + '  ' + asset.url + via);
+    });
+
+    if (offline && assets.length) failed.push(name);
+  });
+
+  return failed;
+}
+
+// Where a remote asset is kept, e.g. resources/vendor/fonts.gstatic.com/s/font.woff2
+function vendorPath(url, kind) {
+  var parsed = new URL(absolute(url));
+  var file = parsed.pathname.replace(/\/$/, '/index');
+
+  if (kind === 'stylesheet' && !/\.css$/.test(file)) file += '.css';
+
+  return path.join(vendor, parsed.hostname, decodeURIComponent(file));
+}
+
+function download(url, kind) {
+  var file = vendorPath(url, kind);
+
+  if (fs.existsSync(file)) return Promise.resolve(file);
+
+  return fetch(absolute(url), {
+    // ask for woff2 rather than ttf from font services
+    headers: { 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) Chrome/120.0 Safari/537.36' }
+  }).then(function (response) {
+    if (!response.ok) throw new Error(response.status + ' ' + url);
+    return response.arrayBuffer();
+  }).then(function (data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(data));
+    console.log('  saved ' + relative(file));
+
+    return kind === 'stylesheet' ? vendorCss(file, url) : file;
+  });
+}
+
+// Download what a vendored stylesheet loads and point it at the copies
+function vendorCss(file, base) {
+  var css = fs.readFileSync(file, 'utf8');
+
+  return sequence(scanCss(css), function (asset) {
+    var url = new URL(asset.url, absolute(base)).href;
+
+    return download(url, 'css').then(function (local) {
+      css = css.split(asset.url).join(path.relative(path.dirname(file), local).split(path.sep).join('/'));
+    });
+  }).then(function () {
+    fs.writeFileSync(file, css);
+    return file;
+  });
+}
+
+function sequence(items, fn) {
+  return items.reduce(function (promise, item) {
+    return promise.then(function () { return fn(item); });
+  }, Promise.resolve());
+}
+
+// Add data-offline to deck source tags loading url, returns whether any did
+function vendorDeck(url, local) {
+  var changed = false;
+
+  fs.readdirSync(decks.source).forEach(function (name) {
+    var file = path.join(decks.source, name);
+    var html = fs.readFileSync(file, 'utf8');
+    var attribute = new RegExp('(<[^>]*\\s(?:src|href)="' + url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '")(?![^>]*data-offline)', 'g');
+    var updated = html.replace(attribute, '$1 data-offline="' + relative(local) + '"');
+
+    if (updated !== html) {
+      fs.writeFileSync(file, updated);
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+function vendorAll() {
+  var manual = [];
+  var rebuild = false;
+
+  // online decks may load remote assets, pages under iframes/ are vendored
+  // for the offline decks that load them
+  var work = [];
+  var seen = {};
+  pages().forEach(function (file) {
+    var variant = decks.decks[relative(file)];
+    if (variant && variant.online) return;
+
+    audit(file, false).forEach(function (asset) {
+      // decks share their sources, so vendor each deck URL once
+      var key = (variant && asset.file === file ? 'slides' : asset.file) + ' ' + asset.url;
+      if (seen[key]) return;
+      seen[key] = true;
+      work.push({ page: file, deck: !!variant, asset: asset });
+    });
+  });
+
+  return sequence(work, function (item) {
+    var asset = item.asset;
+
+    if (asset.kind === 'iframe') {
+      manual.push(relative(item.page) + ': ' + asset.url + ' is a page, add a local copy');
+      return;
+    }
+
+    console.log(relative(asset.file) + '  ' + asset.url);
+
+    return download(asset.url, asset.kind).then(function (local) {
+      if (item.deck) {
+        if (vendorDeck(asset.url, local)) {
+          rebuild = true;
+        }
+        else {
+          manual.push(relative(item.page) + ': ' + asset.url + ' is not a tag attribute in slides/, use ' + relative(local));
+        }
+        return;
+      }
+
+      var text = fs.readFileSync(asset.file, 'utf8');
+      var href = path.relative(path.dirname(asset.file), local).split(path.sep).join('/');
+      fs.writeFileSync(asset.file, text.split(asset.url).join(href));
+    }).catch(function (error) {
+      manual.push(relative(item.page) + ': ' + error.message);
+    });
+  }).then(function () {
+    if (rebuild) decks.run(false);
+
+    manual.forEach(function (line) {
+      console.error('manual: ' + line);
+    });
+  });
+}
+
+if (process.argv.indexOf('--vendor') > -1) {
+  vendorAll().then(function () {
+    process.exitCode = report().length ? 1 : 0;
+  });
+}
+else {
+  var failed = report();
+
+  if (failed.length) {
+    console.error('\nexternal assets in offline decks: ' + failed.join(', '));
+    process.exit(1);
+  }
+}
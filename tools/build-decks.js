@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/*
+Builds index.html, offline.html and offline-extended.html from the shared
+sources in slides/, so a slide is fixed once instead of in three places.
+
+  node tools/build-decks.js           write the decks
+  node tools/build-decks.js --check   exit 1 if a deck is out of date
+
+slides/layout.html is the page around the slides and includes every slide
+partial in slides/ in file name order where it says <!-- @slides -->.
+
+Sources can differ per variant with conditional blocks, which may be nested
+and may sit on their own lines or inside one:
+
+  <!-- @if extended -->
+  <section class="slide">...</section>
+  <!-- @else -->
+  ...
+  <!-- @endif -->
+
+  <title>Intro<!-- @if extended --> - Extended<!-- @endif --></title>
+
+Flags are online, offline, standard and extended, and can be negated with !.
+
+Remote iframes, scripts, stylesheets and media that have a local copy declare
+it with data-offline (tools/audit-offline.js --vendor adds these). Offline
+decks load the local copy, online decks the remote one:
+
+  <iframe src="https://threejs.org/examples/webgl_interactive_cubes"
+    data-offline="iframes/webgl_interactive_cubes.html" frameborder="0"></iframe>
+*/
+var fs = require('fs');
+var path = require('path');
+
+var root = path.join(__dirname, '..');
+var source = path.join(root, 'slides');
+
+var decks = {
+  'index.html': { online: true, extended: false },
+  'offline.html': { online: false, extended: false },
+  'offline-extended.html': { online: false, extended: true }
+};
+
+var marker = /^[ \t]*<!-- @(if !?\w+|else|endif) -->[ \t]*\n|<!-- @(if !?\w+|else|endif) -->/gm;
+
+function flagsFor(variant) {
+  return {
+    online: variant.online,
+    offline: !variant.online,
+    extended: variant.extended,
+    standard: !variant.extended
+  };
+}
+
+// Keep or drop the text between @if / @else / @endif markers
+function conditionals(text, flags, file) {
+  var out = '';
+  var stack = [];
+  var last = 0;
+  var match;
+
+  function active() {
+    return stack.every(function (block) { return block.on; });
+  }
+
+  marker.lastIndex = 0;
+  while ((match = marker.exec(text))) {
+    if (active()) out += text.slice(last, match.index);
+    last = marker.lastIndex;
+
+    var directive = (match[1] || match[2]).split(' ');
+
+    if (directive[0] === 'if') {
+      var flag = directive[1].replace('!', '');
+      if (!(flag in flags)) {
+        throw new Error(file + ': unknown flag "' + flag + '"');
+      }
+      stack.push({ on: flags[flag] !== (directive[1][0] === '!') });
+    }
+    else if (!stack.length) {
+      throw new Error(file + ': @' + directive[0] + ' without @if');
+    }
+    else if (directive[0] === 'else') {
+      stack[stack.length - 1].on = !stack[stack.length - 1].on;
+    }
+    else {
+      stack.pop();
+    }
+  }
+
+  if (stack.length) throw new Error(file + ': missing @endif');
+
+  return out + text.slice(last);
+}
+
+// Point tags with a local copy at it in offline decks
+function offlineSources(html, flags) {
+  return html.replace(/<[^>]+\sdata-offline="([^"]*)"[^>]*>/g, function (tag, local) {
+    tag = tag.replace(/\sdata-offline="[^"]*"/, '');
+    return flags.offline ? tag.replace(/\s(src|href)="[^"]*"/, ' $1="' + local + '"') : tag;
+  });
+}
+
+function read(file) {
+  return fs.readFileSync(path.join(source, file), 'utf8').replace(/\r\n/g, '\n');
+}
+
+function build(variant) {
+  var flags = flagsFor(variant);
+
+  var slides = fs.readdirSync(source)
+    .filter(function (file) { return file !== 'layout.html' && /\.html$/.test(file); })
+    .sort()
+    .map(function (file) { return conditionals(read(file), flags, file); })
+    .join('\n');
+
+  var html = conditionals(read('layout.html'), flags, 'layout.html')
+    .replace(/^[ \t]*<!-- @slides -->\n/m, function () { return slides; });
+
+  return offlineSources(html, flags);
+}
+
+// Write the decks that changed, or with check only list them
+function run(check) {
+  var stale = [];
+
+  Object.keys(decks).forEach(function (name) {
+    var file = path.join(root, name);
+    var html = build(decks[name]);
+    var current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+    if (current === html) return;
+
+    if (check) {
+      stale.push(name);
+    }
+    else {
+      fs.writeFileSync(file, html);
+      console.log('wrote ' + name);
+    }
+  });
+
+  return stale;
+}
+
+module.exports = { decks: decks, source: source, build: build, run: run };
+
+if (require.main === module) {
+  var stale = run(process.argv.indexOf('--check') > -1);
+
+  if (stale.length) {
+    console.error('out of date: ' + stale.join(', ') + ' (run node tools/build-decks.js)');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/*
+Exports a deck to a PDF handout or numbered PNGs from headless Chrome, with
+the demos rendered by the software renderer (SwiftShader), so no GPU or
+display is needed.
+
+  node tools/export-deck.js [deck] [--pdf file] [--png dir] [--from n] [--to n]
+
+  deck        deck to export, default offline.html
+  --pdf file  write a PDF with one 1280x720 page per slide (default deck name .pdf)
+  --png dir   write slide-000.png, slide-001.png, ... into dir
+  --from/--to export only slides n to n (deck.js indexes, as in #slide-n)
+
+Every slide and nested slide is visited with $.deck('exportSlide', i) (see
+resources/export.js), which waits for the iframe demos to reach their step and
+swaps them for snapshots of their canvas before the page is captured.
+
+The repository is served over http for the export so demos can read back
+textures. Needs puppeteer, which isn't vendored: npm install --no-save puppeteer
+*/
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+
+var root = path.join(__dirname, '..');
+
+var types = {
+  '.html': 'text/html', '.js': 'application/javascript', '.css': 'text/css',
+  '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg',
+  '.gif': 'image/gif', '.svg': 'image/svg+xml', '.mp4': 'video/mp4',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf',
+  '.glb': 'model/gltf-binary', '.obj': 'text/plain'
+};
+
+function option(name, fallback) {
+  var i = process.argv.indexOf('--' + name);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+// File under the repository a request path points at, null for anything
+// outside it and for dotfiles (.git, .gitignore, ...)
+function resolve(pathname) {
+  var file = path.join(root, pathname);
+  var relative = path.relative(root, file);
+
+  if (!relative || relative.indexOf('..') === 0 || path.isAbsolute(relative)) return null;
+  if (relative.split(path.sep).some(function (segment) { return segment.charAt(0) === '.'; })) return null;
+
+  return file;
+}
+
+// The repository over http, on a free local port unless told otherwise
+function serve(port, host) {
+  var server = http.createServer(function (request, response) {
+    var file;
+
+    try {
+      file = resolve(decodeURIComponent(request.url.split(/[?#]/)[0]));
+    } catch (e) {
+      // malformed escapes like %E0%A4%A
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+
+    if (!file || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': types[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(response);
+  });
+
+  return new Promise(function (resolve) {
+    server.listen(port || 0, host || '127.0.0.1', function () { resolve(server); });
+  });
+}
+
+// One PDF page per PNG, at the deck's 1280x720
+function writePdf(browser, images, file) {
+  var html = '<style>@page { size: 1280px 720px; margin: 0; } body { margin: 0; }' +
+    'img { display: block; width: 1280px; height: 720px; } img + img { break-before: page; }</style>' +
+    images.map(function (png) {
+      return '<img src="data:image/png;base64,' + png.toString('base64') + '">';
+    }).join('');
+
+  return browser.newPage().then(function (page) {
+    return page.setContent(html, { waitUntil: 'load' }).then(function () {
+      return page.pdf({ path: file, width: '1280px', height: '720px', printBackground: true });
+    });
+  });
+}
+
+// headless Chrome rendering WebGL in software
+function launch(tool) {
+  var puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  }
+  catch (e) {
+    console.error(tool + ' needs puppeteer: npm install --no-save puppeteer');
+    process.exit(1);
+  }
+
+  return puppeteer.launch({
+    headless: true,
+    args: ['--use-gl=angle', '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--autoplay-policy=no-user-gesture-required']
+  });
+}
+
+function run() {
+
+  var positional = process.argv.slice(2).filter(function (arg, i, args) {
+    return arg.indexOf('--') !== 0 && (i === 0 || args[i - 1].indexOf('--') !== 0);
+  });
+  var deck = positional[0] || 'offline.html';
+  var png = option('png');
+  var pdf = option('pdf', png ? null : deck.replace(/\.html$/, '') + '.pdf');
+
+  var server, browser, page;
+  var images = [];
+
+  return serve().then(function (s) {
+    server = s;
+    return launch('tools/export-deck.js');
+  }).then(function (b) {
+    browser = b;
+    return browser.newPage();
+  }).then(function (p) {
+    page = p;
+    page.on('console', function (message) {
+      if (message.type() === 'warning' || message.type() === 'error') console.warn('  ' + message.text());
+    });
+    return page.setViewport({ width: 1280, height: 720 });
+  }).then(function () {
+    var url = 'http://127.0.0.1:' + server.address().port + '/' + deck + '?export#slide-0';
+    return page.goto(url, { waitUntil: 'load' });
+  }).then(function () {
+    return page.waitForFunction('window.jQuery && jQuery.deck("getSlides").length');
+  }).then(function () {
+    return page.evaluate('jQuery.deck("getSlides").length');
+  }).then(function (count) {
+    var from = parseInt(option('from', 0), 10);
+    var to = Math.min(parseInt(option('to', count - 1), 10), count - 1);
+    var indexes = [];
+
+    for (var i = from; i <= to; i++) indexes.push(i);
+
+    if (png) fs.mkdirSync(png, { recursive: true });
+
+    return indexes.reduce(function (promise, i) {
+      return promise.then(function () {
+        return page.evaluate(function (index) {
+          return new Promise(function (resolve) {
+            jQuery.deck('exportSlide', index).always(resolve);
+          });
+        }, i);
+      }).then(function () {
+        return page.screenshot({ clip: { x: 0, y: 0, width: 1280, height: 720 } });
+      }).then(function (image) {
+        image = Buffer.from(image);
+        images.push(image);
+        console.log('slide ' + i + ' / ' + (count - 1));
+
+        if (png) {
+          fs.writeFileSync(path.join(png, 'slide-' + ('00' + i).slice(-3) + '.png'), image);
+        }
+      });
+    }, Promise.resolve());
+  }).then(function () {
+    if (pdf) {
+      return writePdf(browser, images, pdf).then(function () {
+        console.log('wrote ' + pdf);
+      });
+    }
+  }).finally(function () {
+    if (browser) browser.close();
+    if (server) server.close();
+  });
+}
+
+module.exports = { serve: serve, launch: launch };
+
+if (require.main === module) {
+  run().catch(function (error) {
+    console.error(error);
+    process.exit(1);
+  });
+}
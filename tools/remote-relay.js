@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/*
+Relay for the phone remote (remote.html): serves the repository over http and
+passes every WebSocket message on /remote to all other connected pages, so a
+deck opened with ?remote and the remote page on a phone can talk.
+
+  node tools/remote-relay.js [--port n] [--host address]
+
+  --port   port to listen on, default 8000
+  --host   address to listen on, default 127.0.0.1, this machine only.
+           --host 0.0.0.0 lets phones on the same network connect, and
+           everyone else on it see the repository
+
+Open http://localhost:8000/index.html?remote on the laptop and, with
+--host 0.0.0.0, http://<laptop address>:8000/remote.html on the phone. Only
+Node's own modules are needed.
+
+The relay itself knows nothing about sockets: relay() returns a hub that
+clients with a send(text) method join, which is all a stand-in needs, e.g.
+
+  var hub = relay();
+  var leave = hub.join({ send: function (text) { ... } });
+  hub.broadcast(sender, text);
+*/
+var crypto = require('crypto');
+var exporter = require('./export-deck');
+
+var GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function option(name, fallback) {
+  var i = process.argv.indexOf('--' + name);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+function relay() {
+  var clients = [];
+
+  return {
+    clients: clients,
+
+    join: function (client) {
+      clients.push(client);
+      return function leave() {
+        var i = clients.indexOf(client);
+        if (i > -1) clients.splice(i, 1);
+      };
+    },
+
+    // Everyone but the sender gets the message as it was sent
+    broadcast: function (sender, text) {
+      clients.forEach(function (client) {
+        if (client !== sender) client.send(text);
+      });
+    }
+  };
+}
+
+// RFC 6455 frame, unmasked as sent by servers
+function frame(opcode, payload) {
+  var length = payload.length;
+  var header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  }
+  else if (length < 65536) {
+    header = Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff]);
+  }
+  else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+// Complete frames at the start of buffer, and what is left of it
+function parse(buffer) {
+  var frames = [];
+
+  while (buffer.length >= 2) {
+    var opcode = buffer[0] & 0x0f;
+    var masked = buffer[1] & 0x80;
+    var length = buffer[1] & 0x7f;
+    var offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    }
+    else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+
+    var mask = masked ? buffer.slice(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+
+    var payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (mask) {
+      for (var i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode: opcode, payload: payload });
+    buffer = buffer.slice(offset + length);
+  }
+
+  return { frames: frames, rest: buffer };
+}
+
+// Accept a WebSocket upgrade and connect it to the hub
+function upgrade(hub, request, socket) {
+  var key = request.headers['sec-websocket-key'];
+  if (!key || request.url.split('?')[0] !== '/remote') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  var accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+
+  var client = {
+    send: function (text) {
+      if (!socket.destroyed) socket.write(frame(1, Buffer.from(text)));
+    }
+  };
+  var leave = hub.join(client);
+  var buffer = Buffer.alloc(0);
+
+  socket.on('data', function (data) {
+    var parsed = parse(Buffer.concat([buffer, data]));
+    buffer = parsed.rest;
+
+    parsed.frames.forEach(function (f) {
+      if (f.opcode === 1) hub.broadcast(client, f.payload.toString());
+      else if (f.opcode === 9) socket.write(frame(10, f.payload));
+      else if (f.opcode === 8) socket.end(frame(8, f.payload));
+    });
+  });
+
+  socket.on('close', leave);
+  socket.on('error', leave);
+}
+
+function run() {
+  var port = parseInt(option('port', 8000), 10);
+  var host = option('host', '127.0.0.1');
+  var hub = relay();
+
+  return exporter.serve(port, host).then(function (server) {
+    server.on('upgrade', function (request, socket) {
+      upgrade(hub, request, socket);
+    });
+    console.log('deck  http://localhost:' + port + '/index.html?remote');
+    if (host === '127.0.0.1' || host === 'localhost') {
+      console.log('remote http://localhost:' + port + '/remote.html (--host 0.0.0.0 for phones)');
+    }
+    else {
+      console.log('phone http://<this machine>:' + port + '/remote.html');
+    }
+  });
+}
+
+module.exports = { relay: relay, upgrade: upgrade, frame: frame, parse: parse };
+
+if (require.main === module) {
+  run().catch(function (error) {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/*
+Renders the stills the decks show in place of a demo when WebGL isn't
+available, or when a deck is opened with ?posters: one PNG for every director
+step of every demo under iframes/ that loads Director.js.
+
+  node tools/render-posters.js [demo.html ...] [--settle ms]
+
+  demo.html   render only these demos, e.g. camera.html
+  --settle    milliseconds to let each step's tweens finish, default 1500
+
+Writes iframes/posters/<demo>/step-<n>.png and the step count of each demo to
+iframes/posters/posters.js, which the decks load (see resources/slides.js).
+Like tools/export-deck.js it renders with SwiftShader in headless Chrome and
+needs puppeteer: npm install --no-save puppeteer
+*/
+var fs = require('fs');
+var path = require('path');
+var exporter = require('./export-deck');
+
+var root = path.join(__dirname, '..');
+var frames = path.join(root, 'iframes');
+var posters = path.join(frames, 'posters');
+var manifest = path.join(posters, 'posters.js');
+
+function option(name, fallback) {
+  var i = process.argv.indexOf('--' + name);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+function demos() {
+  var named = process.argv.slice(2).filter(function (arg, i, args) {
+    return /\.html$/.test(arg) && (i === 0 || args[i - 1] !== '--settle');
+  }).map(function (arg) {
+    return path.basename(arg);
+  });
+
+  if (named.length) return named;
+
+  return fs.readdirSync(frames).filter(function (file) {
+    return /\.html$/.test(file) && /three\/Director\.js/.test(fs.readFileSync(path.join(frames, file), 'utf8'));
+  }).sort();
+}
+
+function readManifest() {
+  if (!fs.existsSync(manifest)) return {};
+  var text = fs.readFileSync(manifest, 'utf8');
+  return JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+}
+
+function writeManifest(steps) {
+  var sorted = {};
+  Object.keys(steps).sort().forEach(function (name) { sorted[name] = steps[name]; });
+
+  fs.writeFileSync(manifest,
+    '// Generated by tools/render-posters.js, director steps of the demos with stills in this folder\n' +
+    'window.DEMO_POSTERS = ' + JSON.stringify(sorted, null, 2) + ';\n');
+}
+
+function render(page, base, file, settle) {
+  var name = file.replace(/\.html$/, '');
+  var dir = path.join(posters, name);
+
+  return page.goto(base + 'iframes/' + file + '?export', { waitUntil: 'load' }).then(function () {
+    return page.waitForFunction('window.DIRECTOR && DIRECTOR.ready', { timeout: 20000 });
+  }).then(function () {
+    return page.evaluate('DIRECTOR.steps');
+  }).then(function (steps) {
+    var list = [];
+    for (var i = 1; i <= steps; i++) list.push(i);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    return list.reduce(function (promise, step) {
+      return promise.then(function () {
+        return page.evaluate(function (n) { DIRECTOR.go(n); }, step);
+      }).then(function () {
+        return wait(settle);
+      }).then(function () {
+        return page.screenshot({ path: path.join(dir, 'step-' + step + '.png') });
+      }).then(function () {
+        console.log(file + '  step ' + step + ' / ' + steps);
+      });
+    }, Promise.resolve()).then(function () {
+      return steps;
+    });
+  });
+}
+
+function run() {
+  var settle = parseInt(option('settle', 1500), 10);
+  var steps = readManifest();
+  var server, browser, page;
+
+  return exporter.serve().then(function (s) {
+    server = s;
+    return exporter.launch('tools/render-posters.js');
+  }).then(function (b) {
+    browser = b;
+    return browser.newPage();
+  }).then(function (p) {
+    page = p;
+    return page.setViewport({ width: 1280, height: 720 });
+  }).then(function () {
+    var base = 'http://127.0.0.1:' + server.address().port + '/';
+
+    return demos().reduce(function (promise, file) {
+      return promise.then(function () {
+        return render(page, base, file, settle).then(function (count) {
+          steps[file.replace(/\.html$/, '')] = { steps: count };
+        }, function (error) {
+          console.warn(file + '  skipped: ' + error.message);
+        });
+      });
+    }, Promise.resolve());
+  }).then(function () {
+    writeManifest(steps);
+    console.log('wrote ' + path.relative(root, manifest));
+  }).finally(function () {
+    if (browser) browser.close();
+    if (server) server.close();
+  });
+}
+
+run().catch(function (error) {
+  console.error(error);
+  process.exit(1);
+});